@@ -0,0 +1,87 @@
+// Clipboard relay between dashboards/viewers and devices.
+//
+// Nothing is stored: pushes go straight to the device, pulls ask the device
+// for its current clipboard, and a device's own clipboard changes are handed
+// to its subscribers. Devices must opt in (clipboardSync) before any of it.
+
+// Configuration
+const CLIPBOARD_CONFIG = {
+  MAX_TEXT_BYTES: parseInt(process.env.CLIPBOARD_MAX_TEXT_BYTES, 10) || 64 * 1024,        // 64 KB
+  MAX_IMAGE_BYTES: parseInt(process.env.CLIPBOARD_MAX_IMAGE_BYTES, 10) || 2 * 1024 * 1024, // 2 MB
+  REQUEST_TIMEOUT: 15000 // device has 15 seconds to answer a push or pull
+};
+
+// JSON bodies carry images as base64 (4/3 of the size) plus a little envelope
+const JSON_BODY_LIMIT = Math.ceil(CLIPBOARD_CONFIG.MAX_IMAGE_BYTES * 4 / 3) + 16 * 1024;
+
+// Supported MIME types -> leading bytes an image must start with
+const CLIPBOARD_MIME_TYPES = {
+  'text/plain': null,
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/webp': [Buffer.from('RIFF'), Buffer.from('WEBP')] // 'RIFF' at 0, 'WEBP' at 8
+};
+
+// Whether image bytes really are the given (supported) image type
+function matchesImageSignature(buffer, mimeType) {
+  if (!CLIPBOARD_MIME_TYPES[mimeType]) {
+    return false;
+  }
+  const [first, second] = CLIPBOARD_MIME_TYPES[mimeType];
+  if (!buffer.subarray(0, first.length).equals(first)) {
+    return false;
+  }
+  return !second || buffer.subarray(8, 8 + second.length).equals(second);
+}
+
+/**
+ * Validate clipboard content.
+ *
+ * Text is a UTF-8 string; images are base64 strings (or Buffers from binary
+ * socket messages) whose bytes must match the declared MIME type.
+ *
+ * @param {object} input - { mimeType, data }
+ * @returns {{ clip?: { mimeType: string, data: string, size: number }, error?: string }}
+ *   data is text, or base64 for images
+ */
+function parseClipboard(input = {}) {
+  const { mimeType, data } = input;
+  if (!Object.prototype.hasOwnProperty.call(CLIPBOARD_MIME_TYPES, mimeType)) {
+    return { error: `mimeType must be one of ${Object.keys(CLIPBOARD_MIME_TYPES).join(', ')}` };
+  }
+
+  if (mimeType === 'text/plain') {
+    if (typeof data !== 'string' || data.length === 0) {
+      return { error: 'data must be a non-empty string' };
+    }
+    const size = Buffer.byteLength(data, 'utf8');
+    if (size > CLIPBOARD_CONFIG.MAX_TEXT_BYTES) {
+      return { error: `Clipboard text is limited to ${CLIPBOARD_CONFIG.MAX_TEXT_BYTES} bytes` };
+    }
+    return { clip: { mimeType, data, size } };
+  }
+
+  let buffer;
+  if (Buffer.isBuffer(data)) {
+    buffer = data;
+  } else if (typeof data === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+    buffer = Buffer.from(data, 'base64');
+  } else {
+    return { error: 'Image data must be base64 encoded' };
+  }
+  if (buffer.length > CLIPBOARD_CONFIG.MAX_IMAGE_BYTES) {
+    return { error: `Clipboard images are limited to ${CLIPBOARD_CONFIG.MAX_IMAGE_BYTES} bytes` };
+  }
+  if (!matchesImageSignature(buffer, mimeType)) {
+    return { error: `Image data is not ${mimeType}` };
+  }
+  return { clip: { mimeType, data: buffer.toString('base64'), size: buffer.length } };
+}
+
+module.exports = {
+  CLIPBOARD_CONFIG,
+  CLIPBOARD_MIME_TYPES,
+  JSON_BODY_LIMIT,
+  matchesImageSignature,
+  parseClipboard
+};
@@ -0,0 +1,283 @@
+const path = require('path');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+
+// Durable per-device command queue.
+//
+// Queueable commands (e.g. REQUEST_MIRROR, vps-upload-request) sent while a
+// device is offline are stored with a TTL and delivered in order when the
+// device registers again. Commands sent to an online device are recorded as
+// delivered right away, so every requestId has a queryable status.
+
+// Configuration
+const DATA_DIR = path.join(__dirname, 'data');
+const QUEUE_FILE = path.join(DATA_DIR, 'command-queue.json');
+const DEFAULT_TTL = parseInt(process.env.COMMAND_QUEUE_TTL, 10) || 10 * 60; // 10 minutes (seconds)
+const MAX_TTL = 24 * 60 * 60; // 24 hours (seconds)
+const FINISHED_RETENTION = 24 * 60 * 60 * 1000; // keep finished commands queryable for 24 hours
+const MAX_QUEUED_PER_DEVICE = 100;
+
+// Commands that may wait for an offline device
+const QUEUEABLE_COMMANDS = new Set(['REQUEST_MIRROR', 'vps-upload-request']);
+
+const COMMAND_STATES = {
+  QUEUED: 'queued',       // waiting for the device to register
+  DELIVERED: 'delivered', // emitted to the device
+  ACKED: 'acked',         // device responded
+  EXPIRED: 'expired',     // TTL ran out before delivery
+  FAILED: 'failed'        // could not be delivered (e.g. unsupported by the device)
+};
+
+// Commands: requestId -> { requestId, deviceId, eventName, payload, idempotencyKey, status, error,
+//   createdAt, expiresAt, deliveredAt, ackedAt }
+const commands = new Map();
+
+function loadQueue() {
+  try {
+    const data = JSON.parse(fsSync.readFileSync(QUEUE_FILE, 'utf8'));
+    for (const [requestId, command] of Object.entries(data)) {
+      commands.set(requestId, command);
+    }
+    console.log(`📬 Loaded ${commands.size} queued/recent command(s)`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('❌ Failed to load command queue:', err.message);
+    }
+  }
+}
+
+loadQueue();
+
+// Serialize writes so concurrent updates never interleave on disk
+let saveChain = Promise.resolve();
+
+function saveQueue() {
+  const snapshot = JSON.stringify(Object.fromEntries(commands), null, 2);
+  saveChain = saveChain
+    .then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      const tmpPath = `${QUEUE_FILE}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, QUEUE_FILE);
+    })
+    .catch(err => console.error('❌ Failed to save command queue:', err.message));
+  return saveChain;
+}
+
+function isQueueable(eventName) {
+  return QUEUEABLE_COMMANDS.has(eventName);
+}
+
+// Queued commands past their TTL become expired (checked lazily and by cleanup)
+function expireIfDue(command) {
+  if (command.status === COMMAND_STATES.QUEUED && command.expiresAt <= Date.now()) {
+    command.status = COMMAND_STATES.EXPIRED;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Record a command for a device.
+ *
+ * @param {string} deviceId
+ * @param {string} eventName - Queueable request event
+ * @param {object} payload - Event data; must include requestId
+ * @param {object} [options]
+ * @param {boolean} [options.delivered] - Sent right away (device online)
+ * @param {number} [options.ttl] - Seconds to wait for the device (capped at 24 hours)
+ * @param {string} [options.idempotencyKey] - Caller key for safely repeating the request
+ * @returns {{ command?: object, error?: string }}
+ */
+function recordCommand(deviceId, eventName, payload, { delivered = false, ttl, idempotencyKey = null } = {}) {
+  const { requestId } = payload;
+  if (!requestId) {
+    return { error: 'requestId is required' };
+  }
+
+  if (!delivered) {
+    const queued = listCommands({ deviceId, status: COMMAND_STATES.QUEUED });
+    if (queued.length >= MAX_QUEUED_PER_DEVICE) {
+      return { error: `Too many queued commands for device (max ${MAX_QUEUED_PER_DEVICE})` };
+    }
+  }
+
+  const ttlSeconds = Math.min(Math.max(parseInt(ttl, 10) || DEFAULT_TTL, 1), MAX_TTL);
+  const now = Date.now();
+  const command = {
+    requestId,
+    deviceId,
+    eventName,
+    payload,
+    idempotencyKey,
+    status: delivered ? COMMAND_STATES.DELIVERED : COMMAND_STATES.QUEUED,
+    error: null,
+    createdAt: now,
+    expiresAt: now + ttlSeconds * 1000,
+    deliveredAt: delivered ? now : null,
+    ackedAt: null
+  };
+
+  commands.set(requestId, command);
+  saveQueue();
+  if (!delivered) {
+    console.log(`📬 Queued ${eventName} for offline device ${deviceId} (requestId=${requestId}, ttl=${ttlSeconds}s)`);
+  }
+  return { command };
+}
+
+function getCommand(requestId) {
+  const command = commands.get(requestId);
+  if (!command) {
+    return null;
+  }
+  if (expireIfDue(command)) {
+    saveQueue();
+  }
+  return command;
+}
+
+function listCommands({ deviceId, status } = {}) {
+  return Array.from(commands.values())
+    .filter(command => {
+      expireIfDue(command);
+      return (!deviceId || command.deviceId === deviceId) && (!status || command.status === status);
+    })
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// A command the caller already sent with this idempotency key (failed ones may be retried)
+function findByIdempotencyKey(deviceId, idempotencyKey) {
+  if (!idempotencyKey) {
+    return null;
+  }
+  return listCommands({ deviceId }).find(command =>
+    command.idempotencyKey === idempotencyKey &&
+    command.status !== COMMAND_STATES.FAILED &&
+    command.status !== COMMAND_STATES.EXPIRED
+  ) || null;
+}
+
+function isQueued(requestId) {
+  const command = getCommand(requestId);
+  return Boolean(command && command.status === COMMAND_STATES.QUEUED);
+}
+
+/**
+ * Hand a device its queued commands, oldest first.
+ *
+ * @param {string} deviceId
+ * @param {function(object): string|null} send - Emits the command; returns an
+ *   error message if it could not be delivered
+ * @returns {number} - Number of commands delivered
+ */
+function flushQueue(deviceId, send) {
+  let delivered = 0;
+
+  for (const command of listCommands({ deviceId, status: COMMAND_STATES.QUEUED })) {
+    const error = send(command);
+    if (error) {
+      command.status = COMMAND_STATES.FAILED;
+      command.error = error;
+      console.warn(`⚠️ Queued ${command.eventName} for ${deviceId} not delivered: ${error}`);
+      continue;
+    }
+    command.status = COMMAND_STATES.DELIVERED;
+    command.deliveredAt = Date.now();
+    delivered++;
+  }
+
+  if (delivered > 0) {
+    console.log(`📬 Delivered ${delivered} queued command(s) to ${deviceId}`);
+  }
+  saveQueue();
+  return delivered;
+}
+
+/**
+ * Mark a command as acknowledged by its device.
+ *
+ * @param {string} requestId
+ * @param {string} deviceId - Acknowledging device (must own the command)
+ * @param {string} [error] - Error reported by the device
+ * @returns {boolean}
+ */
+function ackCommand(requestId, deviceId, error) {
+  const command = commands.get(requestId);
+  if (!command || command.deviceId !== deviceId || command.status !== COMMAND_STATES.DELIVERED) {
+    return false;
+  }
+  command.status = COMMAND_STATES.ACKED;
+  command.ackedAt = Date.now();
+  command.error = error || null;
+  saveQueue();
+  return true;
+}
+
+// The device never accepted a delivered command (e.g. the RPC timed out)
+function failCommand(requestId, error) {
+  const command = commands.get(requestId);
+  if (!command || command.status !== COMMAND_STATES.DELIVERED) {
+    return false;
+  }
+  command.status = COMMAND_STATES.FAILED;
+  command.error = error;
+  saveQueue();
+  return true;
+}
+
+/**
+ * Expire queued commands past their TTL and drop old finished ones.
+ *
+ * @returns {object[]} - Commands that expired in this pass
+ */
+function cleanupCommands() {
+  const now = Date.now();
+  const expired = [];
+  let removed = 0;
+
+  for (const [requestId, command] of commands.entries()) {
+    if (expireIfDue(command)) {
+      expired.push(command);
+    } else if (command.status !== COMMAND_STATES.QUEUED &&
+               now - (command.ackedAt || command.deliveredAt || command.expiresAt) > FINISHED_RETENTION) {
+      commands.delete(requestId);
+      removed++;
+    }
+  }
+
+  if (expired.length > 0 || removed > 0) {
+    saveQueue();
+    console.log(`🧹 Cleanup: ${expired.length} queued command(s) expired, ${removed} removed. Current: ${commands.size}`);
+  }
+  return expired;
+}
+
+function serializeCommand(command) {
+  return {
+    requestId: command.requestId,
+    deviceId: command.deviceId,
+    command: command.eventName,
+    status: command.status,
+    error: command.error,
+    createdAt: new Date(command.createdAt).toISOString(),
+    expiresAt: new Date(command.expiresAt).toISOString(),
+    deliveredAt: command.deliveredAt ? new Date(command.deliveredAt).toISOString() : null,
+    ackedAt: command.ackedAt ? new Date(command.ackedAt).toISOString() : null
+  };
+}
+
+module.exports = {
+  COMMAND_STATES,
+  isQueueable,
+  recordCommand,
+  getCommand,
+  listCommands,
+  findByIdempotencyKey,
+  isQueued,
+  flushQueue,
+  ackCommand,
+  failCommand,
+  cleanupCommands,
+  serializeCommand
+};
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const path = require('path');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+
+// Configuration
+const COMPLETED_DIR = path.join(__dirname, 'uploads/completed');
+const DATA_DIR = path.join(__dirname, 'data');
+const INDEX_FILE = path.join(DATA_DIR, 'completed-uploads.json');
+// Access times are only written this often; a crash loses at most this much LRU history
+const ACCESS_SAVE_INTERVAL = 60 * 1000; // 1 minute
+
+// Completed files: fileId -> { id, deviceId, filename, relativePath, size, sha256, kind,
+//   metadata, originalFilename, originalPath, uploadId, createdAt, lastAccessedAt }
+const files = new Map();
+
+// What a stored file is; uploads unless annotated otherwise (e.g. screenshots)
+const FILE_KINDS = ['upload', 'screenshot'];
+
+// Store errors carry an HTTP status for the caller to surface
+function storeError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// deviceIds become directory names: keep them to a conservative charset
+function sanitizeDeviceDir(deviceId) {
+  if (typeof deviceId !== 'string') {
+    return null;
+  }
+  const safe = deviceId.replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '').slice(0, 128);
+  return safe || null;
+}
+
+// Resolve a path under COMPLETED_DIR, refusing anything that would escape it
+function resolveInsideStore(...segments) {
+  const resolved = path.resolve(COMPLETED_DIR, ...segments);
+  if (!resolved.startsWith(COMPLETED_DIR + path.sep)) {
+    throw storeError(400, 'Upload path escapes the storage root');
+  }
+  return resolved;
+}
+
+// Stream a file through a hash (hex digest)
+function hashFile(filePath, algorithm = 'sha256') {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fsSync.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+function generateFileId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+// Serialize writes so concurrent uploads never interleave on disk
+let saveChain = Promise.resolve();
+// Pending write of access times (see touchFile)
+let accessSaveTimer = null;
+
+function saveIndex() {
+  // This write includes any access times still waiting
+  clearTimeout(accessSaveTimer);
+  accessSaveTimer = null;
+  const snapshot = JSON.stringify(Object.fromEntries(files), null, 2);
+  saveChain = saveChain
+    .then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      const tmpPath = `${INDEX_FILE}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, INDEX_FILE);
+    })
+    .catch(err => console.error('❌ Failed to save completed uploads index:', err.message));
+  return saveChain;
+}
+
+/**
+ * Load the index and reconcile it with what is actually on disk.
+ *
+ * Entries whose file disappeared are dropped; files without an entry
+ * (e.g. stored before the index existed) are indexed from their stats.
+ */
+async function loadIndex() {
+  try {
+    const data = JSON.parse(fsSync.readFileSync(INDEX_FILE, 'utf8'));
+    for (const [fileId, entry] of Object.entries(data)) {
+      files.set(fileId, entry);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('❌ Failed to load completed uploads index:', err.message);
+    }
+  }
+
+  let changed = false;
+  const known = new Set();
+
+  for (const [fileId, entry] of files.entries()) {
+    try {
+      await fs.stat(resolveInsideStore(entry.relativePath));
+      known.add(entry.relativePath);
+    } catch (err) {
+      files.delete(fileId);
+      changed = true;
+    }
+  }
+
+  let deviceDirs = [];
+  try {
+    deviceDirs = await fs.readdir(COMPLETED_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('❌ Failed to scan completed uploads:', err.message);
+    }
+  }
+
+  for (const dir of deviceDirs.filter(d => d.isDirectory())) {
+    const names = await fs.readdir(path.join(COMPLETED_DIR, dir.name)).catch(() => []);
+    for (const name of names) {
+      const relativePath = path.join(dir.name, name);
+      if (known.has(relativePath)) {
+        continue;
+      }
+      const stats = await fs.stat(path.join(COMPLETED_DIR, relativePath)).catch(() => null);
+      // Zero-byte files may be name reservations of an upload being finalized
+      if (!stats || !stats.isFile() || stats.size === 0) {
+        continue;
+      }
+      const id = generateFileId();
+      files.set(id, {
+        id,
+        deviceId: dir.name,
+        filename: name,
+        relativePath,
+        size: stats.size,
+        sha256: null,
+        originalFilename: null,
+        originalPath: null,
+        uploadId: null,
+        createdAt: stats.mtimeMs,
+        lastAccessedAt: stats.mtimeMs
+      });
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    saveIndex();
+  }
+  console.log(`📦 Completed uploads store: ${files.size} file(s)`);
+}
+
+const ready = loadIndex();
+
+/**
+ * Atomically claim a free filename in `dir`: "name.ext", "name (1).ext", ...
+ * The placeholder file created here is replaced by the stored file.
+ */
+async function reserveUniquePath(dir, filename) {
+  const ext = path.extname(filename);
+  const base = filename.slice(0, filename.length - ext.length);
+
+  for (let i = 0; i < 1000; i++) {
+    const candidate = resolveInsideStore(dir, i === 0 ? filename : `${base} (${i})${ext}`);
+    try {
+      const handle = await fs.open(candidate, 'wx');
+      await handle.close();
+      return candidate;
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+    }
+  }
+
+  throw storeError(409, 'Too many files with the same name');
+}
+
+/**
+ * Move a finished file into the store under the device's directory.
+ *
+ * @param {object} options
+ * @param {string} options.deviceId - Owning device
+ * @param {string} options.filename - Already sanitized target filename
+ * @param {string} options.sourcePath - File to move in (renamed, not copied)
+ * @param {object} [options.details] - Extra fields: originalFilename, originalPath, uploadId,
+ *   kind (see FILE_KINDS), metadata (kind-specific, e.g. screenshot dimensions)
+ * @returns {Promise<object>} - The new store entry
+ */
+async function storeFile({ deviceId, filename, sourcePath, details = {} }) {
+  await ready;
+
+  const deviceDir = sanitizeDeviceDir(deviceId);
+  if (!deviceDir) {
+    throw storeError(400, 'deviceId is required');
+  }
+
+  await fs.mkdir(resolveInsideStore(deviceDir), { recursive: true });
+  const finalPath = await reserveUniquePath(deviceDir, filename);
+  try {
+    await fs.rename(sourcePath, finalPath);
+  } catch (err) {
+    await fs.unlink(finalPath).catch(() => {});
+    throw err;
+  }
+
+  const stats = await fs.stat(finalPath);
+  // Whole-file hash, kept with the entry for clients to verify downloads
+  const sha256 = await hashFile(finalPath);
+  const id = generateFileId();
+  const entry = {
+    id,
+    deviceId,
+    filename: path.basename(finalPath),
+    relativePath: path.relative(COMPLETED_DIR, finalPath),
+    size: stats.size,
+    sha256,
+    kind: FILE_KINDS.includes(details.kind) ? details.kind : 'upload',
+    metadata: details.metadata || null,
+    originalFilename: details.originalFilename || null,
+    originalPath: details.originalPath || null,
+    uploadId: details.uploadId || null,
+    createdAt: Date.now(),
+    lastAccessedAt: Date.now()
+  };
+
+  files.set(id, entry);
+  saveIndex();
+  return entry;
+}
+
+function getFile(fileId) {
+  return files.get(fileId) || null;
+}
+
+function listFiles({ deviceId, kind } = {}) {
+  return Array.from(files.values())
+    .filter(entry => (!deviceId || entry.deviceId === deviceId) && (!kind || (entry.kind || 'upload') === kind))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// The stored file a TUS upload finished into
+function findByUploadId(uploadId) {
+  if (!uploadId) {
+    return null;
+  }
+  return Array.from(files.values()).find(entry => entry.uploadId === uploadId) || null;
+}
+
+// Re-label a stored file, e.g. an upload that answered a screenshot request
+function annotateFile(entry, { kind, metadata }) {
+  if (FILE_KINDS.includes(kind)) {
+    entry.kind = kind;
+  }
+  if (metadata) {
+    entry.metadata = { ...entry.metadata, ...metadata };
+  }
+  saveIndex();
+  return entry;
+}
+
+// Record a download so LRU eviction keeps recently used files. Every Range
+// request lands here (e.g. video scrubbing), so the index is written at most
+// once per ACCESS_SAVE_INTERVAL for access times.
+function touchFile(entry) {
+  entry.lastAccessedAt = Date.now();
+  if (!accessSaveTimer) {
+    accessSaveTimer = setTimeout(saveIndex, ACCESS_SAVE_INTERVAL);
+    accessSaveTimer.unref();
+  }
+}
+
+// Bytes and file counts per device directory: sanitizeDeviceDir(deviceId) ->
+// { usedBytes, fileCount }. Entries re-indexed from disk only know the
+// directory, so usage is keyed by it for every entry.
+function getUsageByDevice() {
+  const usage = new Map();
+  for (const entry of files.values()) {
+    const key = sanitizeDeviceDir(entry.deviceId) || entry.deviceId;
+    const deviceUsage = usage.get(key) || { usedBytes: 0, fileCount: 0 };
+    deviceUsage.usedBytes += entry.size;
+    deviceUsage.fileCount++;
+    usage.set(key, deviceUsage);
+  }
+  return usage;
+}
+
+function getTotalBytes() {
+  let total = 0;
+  for (const entry of files.values()) {
+    total += entry.size;
+  }
+  return total;
+}
+
+// Absolute path of a stored file (re-checked against the store root)
+function getFilePath(entry) {
+  return resolveInsideStore(entry.relativePath);
+}
+
+async function deleteFile(fileId) {
+  const entry = files.get(fileId);
+  if (!entry) {
+    return false;
+  }
+
+  await fs.unlink(getFilePath(entry)).catch(err => {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  });
+  files.delete(fileId);
+  saveIndex();
+  console.log(`🗑️ Deleted completed upload: ${entry.relativePath}`);
+  return true;
+}
+
+function getDownloadUrl(entry) {
+  return `/api/uploads/${entry.id}/download`;
+}
+
+function serializeFile(entry) {
+  return {
+    id: entry.id,
+    deviceId: entry.deviceId,
+    filename: entry.filename,
+    size: entry.size,
+    sha256: entry.sha256 || null,
+    kind: entry.kind || 'upload',
+    metadata: entry.metadata || null,
+    originalFilename: entry.originalFilename,
+    originalPath: entry.originalPath,
+    uploadId: entry.uploadId,
+    createdAt: new Date(entry.createdAt).toISOString(),
+    lastAccessedAt: new Date(entry.lastAccessedAt || entry.createdAt).toISOString(),
+    downloadUrl: getDownloadUrl(entry)
+  };
+}
+
+module.exports = {
+  COMPLETED_DIR,
+  FILE_KINDS,
+  sanitizeDeviceDir,
+  hashFile,
+  storeFile,
+  getFile,
+  listFiles,
+  findByUploadId,
+  annotateFile,
+  touchFile,
+  getUsageByDevice,
+  getTotalBytes,
+  getFilePath,
+  deleteFile,
+  getDownloadUrl,
+  serializeFile
+};
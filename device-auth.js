@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const path = require('path');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+
+// Configuration
+const DATA_DIR = path.join(__dirname, 'data');
+const ENROLLMENT_FILE = path.join(DATA_DIR, 'device-enrollments.json');
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+// Shared token for dashboards/viewers on the /client namespace (open if unset)
+const CLIENT_TOKEN = process.env.CLIENT_TOKEN || null;
+// 'pairing' requires an admin-issued pairing code for first enrollment,
+// 'open' enrolls unknown deviceIds on first contact (trust on first use)
+const ENROLLMENT_MODE = process.env.ENROLLMENT_MODE === 'open' ? 'open' : 'pairing';
+const PAIRING_CODE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Enrolled devices: deviceId -> { secretHash, enrolledAt, lastSeenAt, accessTokenHash }
+const enrollments = new Map();
+
+// Outstanding pairing codes: code -> { deviceId (optional), expiresAt }
+const pairingCodes = new Map();
+
+function loadEnrollments() {
+  try {
+    const raw = fsSync.readFileSync(ENROLLMENT_FILE, 'utf8');
+    const data = JSON.parse(raw);
+    for (const [deviceId, record] of Object.entries(data)) {
+      enrollments.set(deviceId, record);
+    }
+    console.log(`🔐 Loaded ${enrollments.size} device enrollment(s)`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('❌ Failed to load device enrollments:', err.message);
+    }
+  }
+}
+
+loadEnrollments();
+
+// Pairing codes come from the admin API, so pairing mode needs ADMIN_TOKEN
+if (ENROLLMENT_MODE === 'pairing' && !ADMIN_TOKEN) {
+  console.error('❌ ENROLLMENT_MODE is "pairing" but ADMIN_TOKEN is not set: no pairing code can be issued, so new devices cannot enroll.');
+  console.error('   Set ADMIN_TOKEN to issue pairing codes, or ENROLLMENT_MODE=open to enroll devices on first contact.');
+}
+
+if (!ADMIN_TOKEN) {
+  console.warn('⚠️  ADMIN_TOKEN is not set: device access tokens cannot be issued, so every client may subscribe to every device');
+}
+
+// Serialize writes so concurrent enrollments never interleave on disk
+let saveChain = Promise.resolve();
+
+function saveEnrollments() {
+  const snapshot = JSON.stringify(Object.fromEntries(enrollments), null, 2);
+  saveChain = saveChain
+    .then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      const tmpPath = `${ENROLLMENT_FILE}.tmp`;
+      await fs.writeFile(tmpPath, snapshot, { mode: 0o600 });
+      await fs.rename(tmpPath, ENROLLMENT_FILE);
+    })
+    .catch(err => console.error('❌ Failed to save device enrollments:', err.message));
+  return saveChain;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function issueSecret(deviceId) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  enrollments.set(deviceId, {
+    secretHash: hashSecret(secret),
+    enrolledAt: Date.now(),
+    lastSeenAt: Date.now()
+  });
+  saveEnrollments();
+  return secret;
+}
+
+/**
+ * Create a one-time pairing code that allows a device to enroll.
+ *
+ * @param {string} [deviceId] - Restrict the code to this deviceId
+ * @returns {{ code: string, deviceId: string|null, expiresAt: number }}
+ */
+function createPairingCode(deviceId = null) {
+  // 8 characters from an alphabet without ambiguous glyphs (0/O, 1/I)
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(8);
+  let code = '';
+  for (const byte of bytes) {
+    code += alphabet[byte % alphabet.length];
+  }
+
+  const entry = { deviceId, expiresAt: Date.now() + PAIRING_CODE_TTL };
+  pairingCodes.set(code, entry);
+  return { code, ...entry };
+}
+
+function isValidPairingCode(code, deviceId) {
+  const entry = pairingCodes.get(String(code).toUpperCase());
+  if (!entry || entry.expiresAt < Date.now()) {
+    return false;
+  }
+  return !entry.deviceId || entry.deviceId === deviceId;
+}
+
+function consumePairingCode(code, deviceId) {
+  if (!isValidPairingCode(code, deviceId)) {
+    return false;
+  }
+  pairingCodes.delete(String(code).toUpperCase());
+  return true;
+}
+
+/**
+ * Authenticate a device registration.
+ *
+ * Enrolled devices must present their deviceSecret. Unknown devices are
+ * enrolled with a pairing code (or freely in 'open' mode) and receive a
+ * freshly issued secret that must be stored and presented from then on.
+ *
+ * With enroll: false an unknown device is only checked (canEnroll) and its
+ * pairing code stays valid, so enrollment can wait until the secret can be
+ * delivered in the same step.
+ *
+ * @param {object} credentials - { deviceId, deviceSecret, pairingCode }
+ * @param {object} [options] - { enroll: true }
+ * @returns {{ ok: boolean, enrolled?: boolean, canEnroll?: boolean, deviceSecret?: string, error?: string }}
+ */
+function authenticateDevice({ deviceId, deviceSecret, pairingCode } = {}, { enroll = true } = {}) {
+  if (!deviceId || typeof deviceId !== 'string') {
+    return { ok: false, error: 'deviceId is required' };
+  }
+
+  const record = enrollments.get(deviceId);
+
+  if (record) {
+    if (!deviceSecret || !safeEqual(hashSecret(deviceSecret), record.secretHash)) {
+      return { ok: false, error: 'Invalid device credentials' };
+    }
+    record.lastSeenAt = Date.now();
+    return { ok: true, enrolled: false };
+  }
+
+  if (ENROLLMENT_MODE === 'pairing') {
+    if (!pairingCode) {
+      return { ok: false, error: 'Device is not enrolled; a pairingCode is required' };
+    }
+    const valid = enroll ? consumePairingCode(pairingCode, deviceId) : isValidPairingCode(pairingCode, deviceId);
+    if (!valid) {
+      return { ok: false, error: 'Invalid or expired pairing code' };
+    }
+  }
+  if (!enroll) {
+    return { ok: true, enrolled: false, canEnroll: true };
+  }
+
+  const secret = issueSecret(deviceId);
+  console.log(`🔐 Device enrolled: ${deviceId}`);
+  return { ok: true, enrolled: true, deviceSecret: secret };
+}
+
+/**
+ * Revoke a device's token. The device has to pair again to reconnect.
+ *
+ * @param {string} deviceId
+ * @returns {boolean} - true if the device was enrolled
+ */
+function revokeDevice(deviceId) {
+  const existed = enrollments.delete(deviceId);
+  if (existed) {
+    saveEnrollments();
+    console.log(`🔐 Device token revoked: ${deviceId}`);
+  }
+  return existed;
+}
+
+/**
+ * Issue (or rotate) a device's client access token. Clients present it to
+ * subscribe to the device and to use its clipboard.
+ *
+ * @param {string} deviceId
+ * @returns {string|null} - The token (shown once), or null if the device is not enrolled
+ */
+function issueAccessToken(deviceId) {
+  const record = enrollments.get(deviceId);
+  if (!record) {
+    return null;
+  }
+  const token = crypto.randomBytes(24).toString('hex');
+  record.accessTokenHash = hashSecret(token);
+  saveEnrollments();
+  return token;
+}
+
+/**
+ * Whether a client may reach a device: with the device's access token or
+ * the admin token. Without ADMIN_TOKEN no token can be issued, so access
+ * is open (as for CLIENT_TOKEN).
+ *
+ * @param {string} deviceId
+ * @param {string} [token] - Device access token or ADMIN_TOKEN
+ * @returns {boolean}
+ */
+function authorizeDeviceAccess(deviceId, token) {
+  if (!ADMIN_TOKEN) {
+    return true;
+  }
+  if (!token || typeof token !== 'string') {
+    return false;
+  }
+  if (safeEqual(token, ADMIN_TOKEN)) {
+    return true;
+  }
+  const record = enrollments.get(deviceId);
+  return Boolean(record && record.accessTokenHash) && safeEqual(hashSecret(token), record.accessTokenHash);
+}
+
+function isEnrolled(deviceId) {
+  return enrollments.has(deviceId);
+}
+
+function listEnrollments() {
+  return Array.from(enrollments.entries()).map(([deviceId, record]) => ({
+    deviceId,
+    enrolledAt: new Date(record.enrolledAt).toISOString(),
+    lastSeenAt: record.lastSeenAt ? new Date(record.lastSeenAt).toISOString() : null
+  }));
+}
+
+function cleanupPairingCodes() {
+  const now = Date.now();
+  for (const [code, entry] of pairingCodes.entries()) {
+    if (entry.expiresAt < now) {
+      pairingCodes.delete(code);
+    }
+  }
+}
+
+// Handshake check for /client sockets
+function authenticateClient(token) {
+  if (!CLIENT_TOKEN) {
+    return true;
+  }
+  return Boolean(token) && safeEqual(token, CLIENT_TOKEN);
+}
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+/**
+ * Express middleware requiring the device's access token (or ADMIN_TOKEN)
+ * as a bearer token, like authorizeDeviceAccess on the sockets.
+ *
+ * @param {function(object): string} [getDeviceId] - Device a request is for (default: req.params.deviceId)
+ * @returns {function} - Middleware; requests naming no device pass through
+ */
+function requireDeviceAccess(getDeviceId = req => req.params.deviceId) {
+  return (req, res, next) => {
+    const deviceId = getDeviceId(req);
+    if (deviceId && !authorizeDeviceAccess(deviceId, bearerToken(req))) {
+      return res.status(403).json({ error: 'Not authorized for this device', code: 'forbidden' });
+    }
+    next();
+  };
+}
+
+// Express middleware guarding the admin API with a bearer token
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin API disabled (ADMIN_TOKEN not configured)' });
+  }
+
+  const token = bearerToken(req);
+  if (!token || !safeEqual(token, ADMIN_TOKEN)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = {
+  ENROLLMENT_MODE,
+  authenticateDevice,
+  authenticateClient,
+  createPairingCode,
+  revokeDevice,
+  issueAccessToken,
+  authorizeDeviceAccess,
+  isEnrolled,
+  listEnrollments,
+  cleanupPairingCodes,
+  requireDeviceAccess,
+  requireAdmin
+};
@@ -0,0 +1,119 @@
+// Protocol version and capability negotiation.
+//
+// Devices announce { protocolVersion, capabilities, mirrorQualities } in
+// register_device. Devices that announce nothing predate negotiation and are
+// assumed to support every request, as before.
+
+const PROTOCOL_VERSION = 2;
+
+// Capabilities a device can announce
+const CAPABILITIES = [
+  'ftp-list-paginated',
+  'ftp-download',
+  'ftp-download-range', // honours offset/length in ftp-download-request and reports fileSize
+  'ftp-delete',
+  'ftp-rename',
+  'ftp-mkdir',
+  'ftp-push',
+  'browse-files',
+  'tus-upload',
+  'mirror',
+  'mirror-reconfigure', // applies UPDATE_MIRROR_CONFIG to a running session
+  'remote-input',       // injects viewer pointer/gesture/key/text events
+  'clipboard',          // clipboard push/pull (still needs the device's clipboardSync opt-in)
+  'screenshot',
+  'rpc-ack' // acknowledges requests via Socket.IO acks (see device-rpc.js)
+];
+
+// Server -> device request event -> capability it needs
+const REQUEST_CAPABILITIES = {
+  'ftp-list-request': 'ftp-list-paginated',
+  'ftp-download-request': 'ftp-download',
+  'ftp-delete-request': 'ftp-delete',
+  'ftp-rename-request': 'ftp-rename',
+  'ftp-mkdir-request': 'ftp-mkdir',
+  'ftp-push-request': 'ftp-push',
+  'browse-files-request': 'browse-files',
+  'vps-upload-request': 'tus-upload',
+  'REQUEST_MIRROR': 'mirror',
+  'STOP_MIRROR': 'mirror',
+  'UPDATE_MIRROR_CONFIG': 'mirror-reconfigure',
+  'remote-input': 'remote-input',
+  'clipboard-push': 'clipboard',
+  'clipboard-pull-request': 'clipboard',
+  'screenshot-request': 'screenshot'
+};
+
+// Requests carrying a mirror quality the device must support
+const QUALITY_EVENTS = new Set(['REQUEST_MIRROR', 'UPDATE_MIRROR_CONFIG']);
+
+function toStringList(value) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  return Array.from(new Set(value.filter(item => typeof item === 'string' && item)));
+}
+
+/**
+ * Read the negotiation fields from a registration payload.
+ *
+ * Unknown capability names are kept (newer apps may announce more than this
+ * server knows about) but only known ones gate requests.
+ *
+ * @param {object} data - register_device payload
+ * @returns {{ protocolVersion: number|null, capabilities: string[]|null, mirrorQualities: string[]|null }}
+ */
+function parseCapabilities(data = {}) {
+  const version = parseInt(data.protocolVersion, 10);
+  return {
+    protocolVersion: Number.isInteger(version) && version > 0 ? version : null,
+    capabilities: toStringList(data.capabilities),
+    mirrorQualities: toStringList(data.mirrorQualities)
+  };
+}
+
+/**
+ * Why a device can't take a request, or null if it can.
+ *
+ * @param {object} device - Entry from the devices Map
+ * @param {string} eventName - Request event, e.g. 'ftp-list-request'
+ * @param {object} [options] - { quality } for REQUEST_MIRROR / UPDATE_MIRROR_CONFIG
+ * @returns {string|null}
+ */
+function getUnsupportedReason(device, eventName, { quality } = {}) {
+  if (!device || !device.capabilities) {
+    return null;
+  }
+
+  const capability = REQUEST_CAPABILITIES[eventName];
+  if (capability && !device.capabilities.includes(capability)) {
+    return `Device does not support ${capability} (protocol version ${device.protocolVersion || 'unknown'})`;
+  }
+
+  if (QUALITY_EVENTS.has(eventName) && quality && device.mirrorQualities &&
+      !device.mirrorQualities.includes(quality)) {
+    return `Device does not support mirror quality '${quality}' (supported: ${device.mirrorQualities.join(', ')})`;
+  }
+
+  return null;
+}
+
+// Devices that acknowledge requests through Socket.IO ack callbacks
+function supportsRpcAcks(device) {
+  return Boolean(device && device.capabilities && device.capabilities.includes('rpc-ack'));
+}
+
+// Devices that can stream a byte range of a file (Range requests)
+function supportsDownloadRange(device) {
+  return Boolean(device && device.capabilities && device.capabilities.includes('ftp-download-range'));
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  CAPABILITIES,
+  REQUEST_CAPABILITIES,
+  parseCapabilities,
+  getUnsupportedReason,
+  supportsRpcAcks,
+  supportsDownloadRange
+};
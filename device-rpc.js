@@ -0,0 +1,300 @@
+const { getUnsupportedReason, supportsRpcAcks } = require('./device-capabilities');
+
+// Server -> device RPC on top of Socket.IO acknowledgements.
+//
+// Devices announcing the 'rpc-ack' capability acknowledge every request
+// through the Socket.IO ack callback: ack({ ...result }) or
+// ack({ error, code }). Those calls get per-call timeouts and retries; every
+// attempt carries the same requestId and idempotencyKey so the device can
+// drop duplicates. Older devices still answer with their response events
+// (ftp-list-response, ...), which settle the call via settle().
+
+const RPC_CONFIG = {
+  DEFAULT_TIMEOUT: 30000,   // 30 seconds per attempt
+  RETRY_DELAY: 1000,        // grows linearly with each attempt
+  IDEMPOTENCY_TTL: 10 * 60 * 1000 // settled calls answer repeats for 10 minutes
+};
+
+// Typed RPC failures; statusCode is what an HTTP caller should answer
+const RPC_ERRORS = {
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  UNSUPPORTED: 'unsupported',
+  DEVICE_OFFLINE: 'device-offline',
+  DEVICE_ERROR: 'device-error'
+};
+
+const RPC_ERROR_STATUS = {
+  [RPC_ERRORS.TIMEOUT]: 504,
+  [RPC_ERRORS.CANCELLED]: 499,
+  [RPC_ERRORS.UNSUPPORTED]: 501,
+  [RPC_ERRORS.DEVICE_OFFLINE]: 503,
+  [RPC_ERRORS.DEVICE_ERROR]: 502
+};
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.statusCode = RPC_ERROR_STATUS[code] || 500;
+  }
+}
+
+// Unique request IDs, shared with server.js for requests outside the RPC layer
+function generateRequestId() {
+  return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+class DeviceRpc {
+  /**
+   * @param {object} options
+   * @param {function(string): object|undefined} options.getDevice - deviceId -> device record
+   * @param {function(string): object|null} options.getSocket - socketId -> connected socket
+   */
+  constructor({ getDevice, getSocket }) {
+    this.getDevice = getDevice;
+    this.getSocket = getSocket;
+    // In-flight calls: requestId -> call
+    this.calls = new Map();
+    // idempotencyKey -> { requestId, deviceId, promise, settledAt }
+    this.idempotent = new Map();
+  }
+
+  /**
+   * Call a device.
+   *
+   * @param {string} deviceId
+   * @param {string} eventName - Request event, e.g. 'ftp-list-request'
+   * @param {object} [payload] - Event data (requestId and idempotencyKey are added)
+   * @param {object} [options]
+   * @param {string} [options.requestId] - Defaults to a new id
+   * @param {string} [options.idempotencyKey] - Repeats with the same key share one call
+   * @param {number} [options.timeout] - Per attempt, in ms
+   * @param {number} [options.retries] - Extra attempts after a timeout (ack devices only)
+   * @param {AbortSignal} [options.signal] - Aborting cancels the call on the device
+   * @param {string} [options.cancelEvent] - Event telling the device to stop (default 'rpc-cancel')
+   * @param {boolean} [options.awaitResponse] - false: legacy devices resolve (with null) once the event is sent
+   * @param {function(object|null)} [options.onResult] - Called with the result as soon as the call
+   *   settles, before any later event from the device (the promise resolves a tick later)
+   * @returns {Promise<object|null>} - The device's result; rejects with RpcError
+   */
+  call(deviceId, eventName, payload = {}, options = {}) {
+    const {
+      requestId = generateRequestId(),
+      idempotencyKey = null,
+      timeout = RPC_CONFIG.DEFAULT_TIMEOUT,
+      retries = 0,
+      signal = null,
+      cancelEvent = 'rpc-cancel',
+      awaitResponse = true,
+      onResult = null
+    } = options;
+
+    const existing = idempotencyKey && this.idempotent.get(idempotencyKey);
+    if (existing && existing.deviceId === deviceId) {
+      console.log(`🔁 RPC ${eventName} reuses requestId=${existing.requestId} (idempotencyKey=${idempotencyKey})`);
+      return existing.promise;
+    }
+
+    const device = this.getDevice(deviceId);
+    if (!device || !device.socketId) {
+      return Promise.reject(new RpcError(RPC_ERRORS.DEVICE_OFFLINE, 'Device not connected'));
+    }
+    const unsupported = getUnsupportedReason(device, eventName, payload);
+    if (unsupported) {
+      return Promise.reject(new RpcError(RPC_ERRORS.UNSUPPORTED, unsupported));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(new RpcError(RPC_ERRORS.CANCELLED, 'Request cancelled'));
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const call = {
+        requestId,
+        deviceId,
+        eventName,
+        payload: { ...payload, requestId, idempotencyKey: idempotencyKey || requestId },
+        acks: supportsRpcAcks(device),
+        awaitResponse,
+        timeout,
+        retries,
+        cancelEvent,
+        onResult,
+        attempt: 0,
+        timer: null,
+        resolve,
+        reject
+      };
+      this.calls.set(requestId, call);
+      this.attempt(call);
+    });
+
+    if (signal) {
+      // Also after the call settled: e.g. a download the device is still streaming
+      signal.addEventListener('abort', () => this.cancel(requestId, { deviceId, cancelEvent }), { once: true });
+    }
+
+    if (idempotencyKey) {
+      const entry = { requestId, deviceId, promise, settledAt: null };
+      this.idempotent.set(idempotencyKey, entry);
+      promise
+        .then(() => { entry.settledAt = Date.now(); })
+        // Failed calls may be retried under the same key
+        .catch(() => this.idempotent.delete(idempotencyKey));
+    }
+
+    return promise;
+  }
+
+  attempt(call) {
+    call.attempt++;
+    const device = this.getDevice(call.deviceId);
+    const socket = device && device.socketId ? this.getSocket(device.socketId) : null;
+
+    if (!socket) {
+      // Reconnecting devices get another attempt once they are back
+      if (call.acks && call.attempt <= call.retries) {
+        this.scheduleRetry(call);
+        return;
+      }
+      this.finish(call, new RpcError(RPC_ERRORS.DEVICE_OFFLINE, 'Device not connected'));
+      return;
+    }
+
+    if (!call.acks) {
+      socket.emit(call.eventName, call.payload);
+      if (!call.awaitResponse) {
+        this.finish(call, null, null);
+        return;
+      }
+      call.timer = setTimeout(() => {
+        this.finish(call, new RpcError(RPC_ERRORS.TIMEOUT, `${call.eventName} timed out`));
+      }, call.timeout);
+      return;
+    }
+
+    socket.timeout(call.timeout).emit(call.eventName, call.payload, (err, response) => {
+      if (this.calls.get(call.requestId) !== call) {
+        return; // settled, cancelled or superseded meanwhile
+      }
+      if (err) {
+        if (call.attempt <= call.retries) {
+          console.warn(`⏱️ RPC ${call.eventName} (${call.requestId}) attempt ${call.attempt} timed out, retrying`);
+          this.scheduleRetry(call);
+          return;
+        }
+        this.finish(call, new RpcError(RPC_ERRORS.TIMEOUT, `${call.eventName} timed out after ${call.attempt} attempt(s)`));
+        return;
+      }
+
+      const { error, code, ...result } = response || {};
+      if (error) {
+        const type = code === RPC_ERRORS.UNSUPPORTED ? RPC_ERRORS.UNSUPPORTED : RPC_ERRORS.DEVICE_ERROR;
+        this.finish(call, new RpcError(type, error));
+        return;
+      }
+      this.finish(call, null, result);
+    });
+  }
+
+  scheduleRetry(call) {
+    call.timer = setTimeout(() => this.attempt(call), RPC_CONFIG.RETRY_DELAY * call.attempt);
+  }
+
+  finish(call, error, result) {
+    if (this.calls.get(call.requestId) !== call) {
+      return false;
+    }
+    clearTimeout(call.timer);
+    this.calls.delete(call.requestId);
+    if (error) {
+      call.reject(error);
+    } else {
+      if (call.onResult) {
+        call.onResult(result);
+      }
+      call.resolve(result);
+    }
+    return true;
+  }
+
+  getCall(requestId) {
+    return this.calls.get(requestId) || null;
+  }
+
+  /**
+   * Settle a call from a device response event (devices without acks).
+   *
+   * @param {string} requestId
+   * @param {string} deviceId - Responding device; must be the one called
+   * @param {string} [error] - Error reported by the device
+   * @param {object} [result]
+   * @returns {boolean} - true if a call was settled
+   */
+  settle(requestId, deviceId, error, result = {}) {
+    const call = this.calls.get(requestId);
+    if (!call) {
+      return false;
+    }
+    if (call.deviceId !== deviceId) {
+      console.warn(`⚠️ Ignoring response for requestId=${requestId} from ${deviceId} (expected ${call.deviceId})`);
+      return false;
+    }
+    return this.finish(call, error ? new RpcError(RPC_ERRORS.DEVICE_ERROR, error) : null, result);
+  }
+
+  /**
+   * Cancel a call and tell the device to stop working on it.
+   *
+   * Works after the call settled too (deviceId needed then), e.g. to stop a
+   * download the device is still streaming.
+   *
+   * @returns {boolean} - true if an in-flight call was cancelled
+   */
+  cancel(requestId, { deviceId, cancelEvent = 'rpc-cancel', reason = 'Request cancelled' } = {}) {
+    const call = this.calls.get(requestId);
+    const targetDeviceId = call ? call.deviceId : deviceId;
+    const event = call ? call.cancelEvent : cancelEvent;
+
+    const device = targetDeviceId && this.getDevice(targetDeviceId);
+    const socket = device && device.socketId ? this.getSocket(device.socketId) : null;
+    if (socket) {
+      socket.emit(event, { requestId });
+    }
+
+    return call ? this.finish(call, new RpcError(RPC_ERRORS.CANCELLED, reason)) : false;
+  }
+
+  // Fail every in-flight call to a device (e.g. grace period expired)
+  failDevice(deviceId, reason) {
+    for (const call of Array.from(this.calls.values())) {
+      if (call.deviceId === deviceId) {
+        this.finish(call, new RpcError(RPC_ERRORS.DEVICE_OFFLINE, reason));
+      }
+    }
+  }
+
+  pendingCallIds(deviceId) {
+    return Array.from(this.calls.values())
+      .filter(call => call.deviceId === deviceId)
+      .map(call => call.requestId);
+  }
+
+  cleanupIdempotencyKeys() {
+    const now = Date.now();
+    for (const [key, entry] of this.idempotent.entries()) {
+      if (entry.settledAt && now - entry.settledAt > RPC_CONFIG.IDEMPOTENCY_TTL) {
+        this.idempotent.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  RPC_CONFIG,
+  RPC_ERRORS,
+  RpcError,
+  DeviceRpc,
+  generateRequestId
+};
@@ -0,0 +1,125 @@
+// Targeted delivery of device responses and progress events.
+//
+// Responses used to be broadcast with io.emit, so every dashboard saw every
+// other user's listings and transfers. Instead we remember which client
+// socket started a requestId/uploadId and deliver to that socket, plus any
+// sockets that explicitly subscribed to the device.
+
+const ORIGIN_TTL = 24 * 60 * 60 * 1000; // 24 hours - long enough for big uploads
+// Namespaces requesters and subscribers connect to (devices use /device)
+const CLIENT_NAMESPACES = ['/', '/client'];
+
+// Request origins: requestId/uploadId -> { socketId, deviceId, createdAt }
+// (socketId null: a REST request, answered in its HTTP response)
+const origins = new Map();
+
+function deviceRoom(deviceId) {
+  return `device:${deviceId}`;
+}
+
+/**
+ * Remember the client socket that started a request.
+ *
+ * @param {string} id - requestId or uploadId
+ * @param {string|null} socketId - Requesting client socket (null for REST-only callers)
+ * @param {string} deviceId - Target device
+ */
+function trackOrigin(id, socketId, deviceId) {
+  if (!id) {
+    return;
+  }
+  origins.set(id, { socketId: socketId || null, deviceId, createdAt: Date.now() });
+}
+
+// An upload started for a request (e.g. vps-upload) reports to the same socket
+function linkOrigin(id, existingId) {
+  const origin = origins.get(existingId);
+  if (id && origin && !origins.has(id)) {
+    origins.set(id, { ...origin, createdAt: Date.now() });
+  }
+}
+
+function getOrigin(id) {
+  return (id && origins.get(id)) || null;
+}
+
+function forgetOrigin(...ids) {
+  ids.forEach(id => id && origins.delete(id));
+}
+
+// Drop origins owned by a disconnected client socket
+function forgetSocket(socketId) {
+  for (const [id, origin] of origins.entries()) {
+    if (origin.socketId === socketId) {
+      origins.delete(id);
+    }
+  }
+}
+
+/**
+ * Emit an event to the requesting socket(s) and the device's subscribers.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {string} eventName
+ * @param {object} payload
+ * Answers to a single request (requesterOnly, e.g. listings) go only to
+ * their requester once an origin is tracked; REST requesters get nothing
+ * here. Untracked ones still reach the subscribers.
+ *
+ * @param {object} target - { ids: [requestId, uploadId, ...], deviceId, rooms: [extra rooms], requesterOnly }
+ * @returns {number} - Number of rooms/sockets addressed
+ */
+function deliver(io, eventName, payload, { ids = [], deviceId, rooms = [], requesterOnly = false } = {}) {
+  const targets = new Set();
+  let tracked = false;
+  for (const id of ids) {
+    const origin = getOrigin(id);
+    if (origin) {
+      tracked = true;
+    }
+    if (origin && origin.socketId) {
+      targets.add(origin.socketId);
+    }
+  }
+  if (deviceId && !(requesterOnly && tracked)) {
+    targets.add(deviceRoom(deviceId));
+  }
+  rooms.forEach(room => targets.add(room));
+
+  if (targets.size > 0) {
+    // A socket that is both requester and subscriber receives the event once
+    for (const name of CLIENT_NAMESPACES) {
+      io.of(name).to(Array.from(targets)).emit(eventName, payload);
+    }
+  }
+  return targets.size;
+}
+
+function cleanupOrigins() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [id, origin] of origins.entries()) {
+    if (now - origin.createdAt > ORIGIN_TTL) {
+      origins.delete(id);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Cleanup: Removed ${removed} stale request origins. Current: ${origins.size}`);
+  }
+}
+
+module.exports = {
+  CLIENT_NAMESPACES,
+  origins,
+  deviceRoom,
+  trackOrigin,
+  linkOrigin,
+  getOrigin,
+  forgetOrigin,
+  forgetSocket,
+  deliver,
+  cleanupOrigins
+};
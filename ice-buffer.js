@@ -0,0 +1,109 @@
+// ICE candidate buffering for the signaling relay.
+//
+// Trickled candidates can reach the server before their peer can use them:
+// the target device has not (re)registered yet, or the offer for the pair
+// has not been relayed. They are held here per route, in arrival order, and
+// flushed once the route is ready. The end-of-candidates marker is held like
+// any candidate so it always arrives last. Candidates that are never
+// delivered are reported back to their sender.
+
+// Configuration
+const ICE_BUFFER_CONFIG = {
+  TTL: parseInt(process.env.ICE_BUFFER_TTL, 10) || 30000, // held candidates fail after 30 seconds
+  MAX_CANDIDATES: 100, // per route
+  MAX_ROUTES_PER_SENDER: 20 // routes one socket can have candidates held on
+};
+
+// Why held candidates were not delivered ('ice-candidate-failed' reason)
+const DELIVERY_FAILURES = {
+  TIMEOUT: 'timeout',             // the route did not become ready within the TTL
+  BUFFER_FULL: 'buffer-full',     // too many candidates held for the route
+  TOO_MANY_ROUTES: 'too-many-routes', // the sender has candidates held on too many routes
+  PEER_GONE: 'peer-gone',         // the viewer left
+  SESSION_ENDED: 'session-ended'
+};
+
+// Held candidates: route key -> { senderSocketId, context, entries, timer, createdAt }
+const buffers = new Map();
+
+// Messages for the sender when a candidate can't be held
+const HOLD_ERROR_MESSAGES = {
+  [DELIVERY_FAILURES.BUFFER_FULL]: 'Too many ICE candidates waiting for the peer',
+  [DELIVERY_FAILURES.TOO_MANY_ROUTES]: 'ICE candidates are already waiting for too many peers'
+};
+
+function countSenderRoutes(senderSocketId) {
+  let count = 0;
+  for (const buffer of buffers.values()) {
+    if (buffer.senderSocketId === senderSocketId) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Hold a candidate (or the end-of-candidates marker) for a route.
+ *
+ * @param {string} key - Route, e.g. `session:${sessionId}:${viewerId}:device`
+ * @param {object} hold - { senderSocketId, context (echoed in failure notices), entry }
+ * @param {function} onExpire - Called with the dropped buffer once the TTL passes
+ * @returns {{ held?: number, error?: string }} - Candidates now held for the route
+ */
+function holdCandidate(key, { senderSocketId, context, entry }, onExpire) {
+  let buffer = buffers.get(key);
+  if (!buffer) {
+    if (countSenderRoutes(senderSocketId) >= ICE_BUFFER_CONFIG.MAX_ROUTES_PER_SENDER) {
+      return { error: DELIVERY_FAILURES.TOO_MANY_ROUTES };
+    }
+    buffer = { senderSocketId, context, entries: [], timer: null, createdAt: Date.now() };
+    buffer.timer = setTimeout(() => {
+      buffers.delete(key);
+      onExpire(buffer);
+    }, ICE_BUFFER_CONFIG.TTL);
+    buffers.set(key, buffer);
+  }
+
+  if (buffer.entries.length >= ICE_BUFFER_CONFIG.MAX_CANDIDATES) {
+    return { error: DELIVERY_FAILURES.BUFFER_FULL };
+  }
+  // A sender that reconnected gets the failure notice on its new socket
+  buffer.senderSocketId = senderSocketId;
+  buffer.entries.push(entry);
+  return { held: buffer.entries.length };
+}
+
+/**
+ * Remove and return everything held for a route (to deliver or to fail).
+ *
+ * @returns {object|null} - The buffer, entries in arrival order
+ */
+function takeCandidates(key) {
+  const buffer = buffers.get(key);
+  if (!buffer) {
+    return null;
+  }
+  clearTimeout(buffer.timer);
+  buffers.delete(key);
+  return buffer;
+}
+
+function hasHeldCandidates(key) {
+  return buffers.has(key);
+}
+
+// Route keys starting with a prefix, e.g. every route towards one device
+function heldRoutes(prefix) {
+  return Array.from(buffers.keys()).filter(key => key.startsWith(prefix));
+}
+
+module.exports = {
+  ICE_BUFFER_CONFIG,
+  DELIVERY_FAILURES,
+  HOLD_ERROR_MESSAGES,
+  buffers,
+  holdCandidate,
+  takeCandidates,
+  hasHeldCandidates,
+  heldRoutes
+};
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+
+// Session lifecycle states
+const SESSION_STATES = {
+  REQUESTED: 'requested',     // REQUEST_MIRROR sent, waiting for negotiation
+  NEGOTIATING: 'negotiating', // offer/answer exchange in progress
+  ACTIVE: 'active',           // at least one viewer has a connected stream
+  ENDED: 'ended'
+};
+
+// What a viewer may do; granted per viewer by the mirrored device
+const VIEWER_PERMISSIONS = {
+  VIEW: 'view',      // watch only (default)
+  CONTROL: 'control' // may also send remote input
+};
+
+const ENDED_SESSION_TTL = 10 * 60 * 1000; // 10 minutes - keep ended sessions queryable
+
+// Accepted ranges for mirroring options (devices may clamp further)
+const MIRROR_OPTION_LIMITS = {
+  WIDTH: { min: 160, max: 7680 },
+  HEIGHT: { min: 160, max: 4320 },
+  BITRATE: { min: 100, max: 50000 }, // kbps
+  FPS: { min: 1, max: 120 }
+};
+
+// Store mirroring sessions: sessionId -> session
+const sessions = new Map();
+
+function generateSessionId() {
+  return `sess_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Create a new mirroring session for a device.
+ *
+ * @param {string} deviceId - The ANDROID_ID of the mirrored device
+ * @param {object} options - Mirroring options (quality, etc.)
+ * @returns {object} - The new session
+ */
+function createSession(deviceId, options = {}) {
+  const now = Date.now();
+  const session = {
+    id: generateSessionId(),
+    deviceId,
+    state: SESSION_STATES.REQUESTED,
+    options,
+    viewers: new Map(), // viewerId -> { viewerId, socketId, state, permission, joinedAt }
+    createdAt: now,
+    updatedAt: now,
+    endedAt: null,
+    endReason: null
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+function parseBoundedInt(value, { min, max }, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    return { error: `${name} must be an integer between ${min} and ${max}` };
+  }
+  return { value: number };
+}
+
+/**
+ * Validate mirroring options from an API caller.
+ *
+ * Only the given fields are returned, so the result can also be merged into
+ * a running session's options.
+ *
+ * @param {object} input - { quality, resolution: 'WIDTHxHEIGHT' | { width, height }, bitrate (kbps), fps }
+ * @returns {{ options?: object, error?: string }}
+ */
+function parseMirrorOptions(input = {}) {
+  const options = {};
+
+  if (input.quality !== undefined && input.quality !== null && input.quality !== '') {
+    if (typeof input.quality !== 'string' || !/^[a-z0-9-]{1,32}$/i.test(input.quality)) {
+      return { error: 'quality must be a short name such as low, medium or high' };
+    }
+    options.quality = input.quality;
+  }
+
+  if (input.resolution !== undefined && input.resolution !== null && input.resolution !== '') {
+    let { width, height } = typeof input.resolution === 'object' ? input.resolution : {};
+    if (typeof input.resolution === 'string') {
+      const match = input.resolution.match(/^(\d+)x(\d+)$/i);
+      if (!match) {
+        return { error: 'resolution must look like 1280x720' };
+      }
+      [, width, height] = match;
+    }
+    const parsedWidth = parseBoundedInt(width, MIRROR_OPTION_LIMITS.WIDTH, 'resolution width');
+    const parsedHeight = parseBoundedInt(height, MIRROR_OPTION_LIMITS.HEIGHT, 'resolution height');
+    const error = parsedWidth.error || parsedHeight.error;
+    if (error) {
+      return { error };
+    }
+    options.resolution = { width: parsedWidth.value, height: parsedHeight.value };
+  }
+
+  for (const [field, limits] of [['bitrate', MIRROR_OPTION_LIMITS.BITRATE], ['fps', MIRROR_OPTION_LIMITS.FPS]]) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') {
+      continue;
+    }
+    const parsed = parseBoundedInt(input[field], limits, field);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    options[field] = parsed.value;
+  }
+
+  return { options };
+}
+
+// Fields of validated options that differ from the session's current options
+function findChangedOptions(session, options) {
+  return Object.keys(options).filter(field =>
+    JSON.stringify(options[field]) !== JSON.stringify(session.options[field]));
+}
+
+function getSession(sessionId) {
+  return sessions.get(sessionId) || null;
+}
+
+// Returns the device's current (not ended) session, if any
+function getOpenSessionForDevice(deviceId) {
+  for (const session of sessions.values()) {
+    if (session.deviceId === deviceId && session.state !== SESSION_STATES.ENDED) {
+      return session;
+    }
+  }
+  return null;
+}
+
+function listSessions({ deviceId, includeEnded = true } = {}) {
+  return Array.from(sessions.values()).filter(session =>
+    (!deviceId || session.deviceId === deviceId) &&
+    (includeEnded || session.state !== SESSION_STATES.ENDED)
+  );
+}
+
+// Session state follows the most advanced viewer negotiation
+function recomputeState(session) {
+  if (session.state === SESSION_STATES.ENDED) {
+    return false;
+  }
+
+  const viewerStates = Array.from(session.viewers.values()).map(v => v.state);
+  let nextState = SESSION_STATES.REQUESTED;
+  if (viewerStates.includes(SESSION_STATES.ACTIVE)) {
+    nextState = SESSION_STATES.ACTIVE;
+  } else if (viewerStates.includes(SESSION_STATES.NEGOTIATING)) {
+    nextState = SESSION_STATES.NEGOTIATING;
+  }
+
+  if (nextState === session.state) {
+    return false;
+  }
+  session.state = nextState;
+  session.updatedAt = Date.now();
+  return true;
+}
+
+function addViewer(session, viewerId, socketId) {
+  session.viewers.set(viewerId, {
+    viewerId,
+    socketId,
+    state: SESSION_STATES.REQUESTED,
+    permission: VIEWER_PERMISSIONS.VIEW,
+    joinedAt: Date.now()
+  });
+  session.updatedAt = Date.now();
+  return session.viewers.get(viewerId);
+}
+
+function removeViewer(session, viewerId) {
+  const removed = session.viewers.delete(viewerId);
+  if (removed) {
+    session.updatedAt = Date.now();
+    recomputeState(session);
+  }
+  return removed;
+}
+
+function findViewerBySocket(session, socketId) {
+  for (const viewer of session.viewers.values()) {
+    if (viewer.socketId === socketId) {
+      return viewer;
+    }
+  }
+  return null;
+}
+
+/**
+ * Update a single viewer's negotiation state.
+ *
+ * @returns {boolean} - true if the overall session state changed
+ */
+function setViewerState(session, viewerId, state) {
+  const viewer = session.viewers.get(viewerId);
+  if (!viewer || session.state === SESSION_STATES.ENDED) {
+    return false;
+  }
+  if (state === SESSION_STATES.ENDED) {
+    const previousState = session.state;
+    removeViewer(session, viewerId);
+    return session.state !== previousState;
+  }
+  viewer.state = state;
+  session.updatedAt = Date.now();
+  return recomputeState(session);
+}
+
+/**
+ * Grant a viewer view-only or control permission.
+ *
+ * @returns {boolean} - true if the permission changed
+ */
+function setViewerPermission(session, viewerId, permission) {
+  const viewer = session.viewers.get(viewerId);
+  if (!viewer || viewer.permission === permission) {
+    return false;
+  }
+  viewer.permission = permission;
+  session.updatedAt = Date.now();
+  return true;
+}
+
+function endSession(session, reason = 'ended') {
+  if (session.state === SESSION_STATES.ENDED) {
+    return false;
+  }
+  session.state = SESSION_STATES.ENDED;
+  session.endedAt = Date.now();
+  session.endReason = reason;
+  session.updatedAt = session.endedAt;
+  for (const viewer of session.viewers.values()) {
+    viewer.state = SESSION_STATES.ENDED;
+  }
+  return true;
+}
+
+function serializeSession(session) {
+  return {
+    id: session.id,
+    deviceId: session.deviceId,
+    state: session.state,
+    options: session.options,
+    viewers: Array.from(session.viewers.values()).map(v => ({
+      viewerId: v.viewerId,
+      state: v.state,
+      permission: v.permission,
+      joinedAt: new Date(v.joinedAt).toISOString()
+    })),
+    createdAt: new Date(session.createdAt).toISOString(),
+    updatedAt: new Date(session.updatedAt).toISOString(),
+    endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+    endReason: session.endReason
+  };
+}
+
+function cleanupEndedSessions() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [sessionId, session] of sessions.entries()) {
+    if (session.state === SESSION_STATES.ENDED && now - session.endedAt > ENDED_SESSION_TTL) {
+      sessions.delete(sessionId);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Cleanup: Removed ${removed} ended sessions. Current: ${sessions.size}`);
+  }
+}
+
+module.exports = {
+  SESSION_STATES,
+  VIEWER_PERMISSIONS,
+  MIRROR_OPTION_LIMITS,
+  sessions,
+  parseMirrorOptions,
+  findChangedOptions,
+  createSession,
+  getSession,
+  getOpenSessionForDevice,
+  listSessions,
+  addViewer,
+  removeViewer,
+  findViewerBySocket,
+  setViewerState,
+  setViewerPermission,
+  endSession,
+  serializeSession,
+  cleanupEndedSessions
+};
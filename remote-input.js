@@ -0,0 +1,208 @@
+// Remote input relay: validation and rate limiting of viewer input.
+//
+// Viewers with a 'control' grant send pointer, gesture, key and text events
+// ('remote-input'). Coordinates are normalized to 0..1 of the mirrored
+// screen so the device maps them to its own resolution. Every event is
+// checked and rebuilt here, so only known fields ever reach the device.
+
+// Configuration
+const INPUT_CONFIG = {
+  RATE_PER_SECOND: parseInt(process.env.REMOTE_INPUT_RATE, 10) || 60, // sustained events per viewer
+  BURST: parseInt(process.env.REMOTE_INPUT_BURST, 10) || 120,         // events allowed at once
+  MAX_BATCH: 50,          // events per 'remote-input' message
+  MAX_TEXT_LENGTH: 1000,  // characters per text event
+  LIMITER_IDLE_TTL: 5 * 60 * 1000 // drop idle rate limiters after 5 minutes
+};
+
+const INPUT_TYPES = {
+  POINTER: 'pointer',
+  GESTURE: 'gesture',
+  KEY: 'key',
+  TEXT: 'text'
+};
+
+const POINTER_ACTIONS = ['down', 'move', 'up', 'cancel'];
+const GESTURES = ['tap', 'double-tap', 'long-press', 'swipe', 'pinch', 'scroll'];
+const KEY_ACTIONS = ['down', 'up', 'press'];
+const KEY_MODIFIERS = ['shift', 'ctrl', 'alt', 'meta'];
+
+// Rate limiters: `${sessionId}:${viewerId}` -> { tokens, updatedAt }
+const limiters = new Map();
+
+function isNormalized(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+function readPoint(event, xField, yField) {
+  if (!isNormalized(event[xField]) || !isNormalized(event[yField])) {
+    return { error: `${xField}/${yField} must be normalized coordinates between 0 and 1` };
+  }
+  return { point: { [xField]: event[xField], [yField]: event[yField] } };
+}
+
+function readPointer(event) {
+  if (!POINTER_ACTIONS.includes(event.action)) {
+    return { error: `pointer action must be one of ${POINTER_ACTIONS.join(', ')}` };
+  }
+  const { point, error } = readPoint(event, 'x', 'y');
+  if (error) {
+    return { error };
+  }
+  const pointerId = event.pointerId === undefined ? 0 : event.pointerId;
+  if (!Number.isInteger(pointerId) || pointerId < 0 || pointerId > 9) {
+    return { error: 'pointerId must be an integer between 0 and 9' };
+  }
+  return { event: { type: INPUT_TYPES.POINTER, action: event.action, ...point, pointerId } };
+}
+
+function readGesture(event) {
+  if (!GESTURES.includes(event.gesture)) {
+    return { error: `gesture must be one of ${GESTURES.join(', ')}` };
+  }
+  const start = readPoint(event, 'x', 'y');
+  if (start.error) {
+    return { error: start.error };
+  }
+  const gesture = { type: INPUT_TYPES.GESTURE, gesture: event.gesture, ...start.point };
+
+  if (event.gesture === 'swipe') {
+    const end = readPoint(event, 'endX', 'endY');
+    if (end.error) {
+      return { error: end.error };
+    }
+    Object.assign(gesture, end.point);
+  } else if (event.gesture === 'pinch') {
+    if (typeof event.scale !== 'number' || !(event.scale >= 0.1 && event.scale <= 10)) {
+      return { error: 'pinch scale must be a number between 0.1 and 10' };
+    }
+    gesture.scale = event.scale;
+  } else if (event.gesture === 'scroll') {
+    const dx = event.dx === undefined ? 0 : event.dx;
+    const dy = event.dy === undefined ? 0 : event.dy;
+    if (![dx, dy].every(d => typeof d === 'number' && d >= -1 && d <= 1)) {
+      return { error: 'scroll dx/dy must be fractions of the screen between -1 and 1' };
+    }
+    Object.assign(gesture, { dx, dy });
+  }
+
+  if (event.duration !== undefined) {
+    if (!Number.isInteger(event.duration) || event.duration < 0 || event.duration > 10000) {
+      return { error: 'duration must be between 0 and 10000 ms' };
+    }
+    gesture.duration = event.duration;
+  }
+  return { event: gesture };
+}
+
+function readKey(event) {
+  if (!KEY_ACTIONS.includes(event.action)) {
+    return { error: `key action must be one of ${KEY_ACTIONS.join(', ')}` };
+  }
+  if (typeof event.key !== 'string' || event.key.length === 0 || event.key.length > 32) {
+    return { error: 'key must be a key name such as Enter or a single character' };
+  }
+  const modifiers = Array.isArray(event.modifiers) ? event.modifiers : [];
+  if (!modifiers.every(modifier => KEY_MODIFIERS.includes(modifier))) {
+    return { error: `modifiers must be from ${KEY_MODIFIERS.join(', ')}` };
+  }
+  return { event: { type: INPUT_TYPES.KEY, action: event.action, key: event.key, modifiers: Array.from(new Set(modifiers)) } };
+}
+
+function readText(event) {
+  if (typeof event.text !== 'string' || event.text.length === 0) {
+    return { error: 'text must be a non-empty string' };
+  }
+  if (event.text.length > INPUT_CONFIG.MAX_TEXT_LENGTH) {
+    return { error: `text is limited to ${INPUT_CONFIG.MAX_TEXT_LENGTH} characters` };
+  }
+  return { event: { type: INPUT_TYPES.TEXT, text: event.text } };
+}
+
+const READERS = {
+  [INPUT_TYPES.POINTER]: readPointer,
+  [INPUT_TYPES.GESTURE]: readGesture,
+  [INPUT_TYPES.KEY]: readKey,
+  [INPUT_TYPES.TEXT]: readText
+};
+
+/**
+ * Validate a 'remote-input' message: { event } or { events: [...] }.
+ *
+ * @param {object} data - Message from the viewer
+ * @returns {{ events?: object[], error?: string }} - Sanitized events in order
+ */
+function parseInputEvents(data = {}) {
+  const input = Array.isArray(data.events) ? data.events : (data.event ? [data.event] : []);
+  if (input.length === 0) {
+    return { error: 'No input events' };
+  }
+  if (input.length > INPUT_CONFIG.MAX_BATCH) {
+    return { error: `At most ${INPUT_CONFIG.MAX_BATCH} input events per message` };
+  }
+
+  const events = [];
+  for (const [index, event] of input.entries()) {
+    const reader = event && READERS[event.type];
+    if (!reader) {
+      return { error: `events[${index}]: type must be one of ${Object.values(INPUT_TYPES).join(', ')}` };
+    }
+    const result = reader(event);
+    if (result.error) {
+      return { error: `events[${index}]: ${result.error}` };
+    }
+    events.push(result.event);
+  }
+  return { events };
+}
+
+/**
+ * Token bucket per viewer: take `count` tokens or reject the whole batch.
+ *
+ * @param {string} key - `${sessionId}:${viewerId}`
+ * @param {number} count - Events in the message
+ * @returns {boolean} - false if the viewer is over its rate
+ */
+function consumeInputTokens(key, count) {
+  const now = Date.now();
+  const limiter = limiters.get(key) || { tokens: INPUT_CONFIG.BURST, updatedAt: now };
+
+  const refill = ((now - limiter.updatedAt) / 1000) * INPUT_CONFIG.RATE_PER_SECOND;
+  limiter.tokens = Math.min(INPUT_CONFIG.BURST, limiter.tokens + refill);
+  limiter.updatedAt = now;
+  limiters.set(key, limiter);
+
+  if (limiter.tokens < count) {
+    return false;
+  }
+  limiter.tokens -= count;
+  return true;
+}
+
+function forgetInputLimiter(key) {
+  limiters.delete(key);
+}
+
+function cleanupInputLimiters() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [key, limiter] of limiters.entries()) {
+    if (now - limiter.updatedAt > INPUT_CONFIG.LIMITER_IDLE_TTL) {
+      limiters.delete(key);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Cleanup: Removed ${removed} idle input rate limiters. Current: ${limiters.size}`);
+  }
+}
+
+module.exports = {
+  INPUT_CONFIG,
+  INPUT_TYPES,
+  parseInputEvents,
+  consumeInputTokens,
+  forgetInputLimiter,
+  cleanupInputLimiters
+};
@@ -0,0 +1,179 @@
+const path = require('path');
+const fs = require('fs').promises;
+const completedStore = require('./completed-store');
+const storagePolicy = require('./storage-policy');
+const { UPLOAD_DIR, getInProgressUsage } = require('./tus-upload-server');
+const { matchesImageSignature } = require('./clipboard-relay');
+
+// Screenshot capture.
+//
+// The server asks the device for a capture ('screenshot-request'). The
+// device answers with the image itself ({ mimeType, data, width, height },
+// data binary or base64) or, for large captures, uploads it through TUS and
+// answers with its { uploadId }. Either way the image ends up in the
+// completed store as a 'screenshot' entry.
+
+// Configuration
+const SCREENSHOT_CONFIG = {
+  MAX_BYTES: parseInt(process.env.SCREENSHOT_MAX_BYTES, 10) || 20 * 1024 * 1024, // 20 MB inline
+  REQUEST_TIMEOUT: 60000, // capture plus an optional TUS upload
+  UPLOAD_WAIT: 10000,     // the device may answer before the TUS finish hook stored the file
+  UPLOAD_POLL_INTERVAL: 250
+};
+
+// Requested format -> MIME type / file extension
+const SCREENSHOT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+/**
+ * Validate capture options from an API caller.
+ *
+ * @param {object} input - { format: png|jpeg|webp, quality: 1-100 (lossy formats), maxWidth }
+ * @returns {{ options?: object, error?: string }}
+ */
+function parseScreenshotOptions(input = {}) {
+  const format = input.format || 'png';
+  if (!SCREENSHOT_FORMATS[format]) {
+    return { error: `format must be one of ${Object.keys(SCREENSHOT_FORMATS).join(', ')}` };
+  }
+  const options = { format };
+
+  if (input.quality !== undefined) {
+    const quality = Number(input.quality);
+    if (format === 'png' || !Number.isInteger(quality) || quality < 1 || quality > 100) {
+      return { error: 'quality must be an integer between 1 and 100 (jpeg and webp only)' };
+    }
+    options.quality = quality;
+  }
+
+  if (input.maxWidth !== undefined) {
+    const maxWidth = Number(input.maxWidth);
+    if (!Number.isInteger(maxWidth) || maxWidth < 160 || maxWidth > 7680) {
+      return { error: 'maxWidth must be an integer between 160 and 7680' };
+    }
+    options.maxWidth = maxWidth;
+  }
+
+  return { options };
+}
+
+// Errors carry an HTTP status for the caller to surface
+function screenshotError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Optional pixel dimensions reported by the device
+function readDimension(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+function screenshotMetadata(requestId, response, mimeType) {
+  return {
+    requestId,
+    mimeType,
+    width: readDimension(response.width),
+    height: readDimension(response.height),
+    capturedAt: new Date(Number(response.capturedAt) || Date.now()).toISOString()
+  };
+}
+
+// Completed upload for an uploadId, waiting briefly for the TUS finish hook
+async function waitForUpload(uploadId) {
+  const deadline = Date.now() + SCREENSHOT_CONFIG.UPLOAD_WAIT;
+  let entry = completedStore.findByUploadId(uploadId);
+  while (!entry && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, SCREENSHOT_CONFIG.UPLOAD_POLL_INTERVAL));
+    entry = completedStore.findByUploadId(uploadId);
+  }
+  return entry;
+}
+
+// Screenshot format of a stored file, from its leading bytes
+async function detectStoredFormat(entry) {
+  const handle = await fs.open(completedStore.getFilePath(entry), 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(16), 0, 16, 0);
+    const head = buffer.subarray(0, bytesRead);
+    return Object.values(SCREENSHOT_FORMATS).find(format => matchesImageSignature(head, format.mimeType)) || null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Store the image a device sent back for a screenshot request.
+ *
+ * @param {string} deviceId
+ * @param {string} requestId
+ * @param {object} response - Device answer: { mimeType, data, width, height } or { uploadId, width, height }
+ * @returns {Promise<object>} - Completed store entry; errors carry a statusCode
+ */
+async function saveScreenshot(deviceId, requestId, response = {}) {
+  if (response.uploadId) {
+    const entry = await waitForUpload(response.uploadId);
+    if (!entry || entry.deviceId !== deviceId) {
+      throw screenshotError(502, 'Screenshot upload not found');
+    }
+    // The stored bytes decide the type; a declared mimeType must agree with them
+    const format = await detectStoredFormat(entry);
+    if (!format || (response.mimeType && response.mimeType !== format.mimeType)) {
+      throw screenshotError(502, `Screenshot upload is not ${response.mimeType || 'a png, jpeg or webp image'}`);
+    }
+    return completedStore.annotateFile(entry, {
+      kind: 'screenshot',
+      metadata: screenshotMetadata(requestId, response, format.mimeType)
+    });
+  }
+
+  const format = Object.values(SCREENSHOT_FORMATS).find(f => f.mimeType === response.mimeType);
+  if (!format) {
+    throw screenshotError(502, 'Device sent no image or an unsupported image type');
+  }
+  const buffer = Buffer.isBuffer(response.data) ? response.data
+    : (typeof response.data === 'string' ? Buffer.from(response.data, 'base64') : null);
+  if (!buffer || !matchesImageSignature(buffer, format.mimeType)) {
+    throw screenshotError(502, `Device sent invalid ${format.mimeType} data`);
+  }
+  if (buffer.length > SCREENSHOT_CONFIG.MAX_BYTES) {
+    throw screenshotError(413, `Screenshot exceeds ${SCREENSHOT_CONFIG.MAX_BYTES} bytes`);
+  }
+
+  const space = await storagePolicy.reserveUploadSpace(deviceId, buffer.length, await getInProgressUsage());
+  if (!space.ok) {
+    throw screenshotError(space.quotaExceeded ? 413 : 507, space.error);
+  }
+
+  // Written next to TUS uploads so the store can move it in with a rename
+  const tempPath = path.join(UPLOAD_DIR, `screenshot-${requestId}.tmp`);
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.writeFile(tempPath, buffer);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
+  try {
+    return await completedStore.storeFile({
+      deviceId,
+      filename: `screenshot_${stamp}.${format.extension}`,
+      sourcePath: tempPath,
+      details: {
+        kind: 'screenshot',
+        metadata: screenshotMetadata(requestId, response, format.mimeType)
+      }
+    });
+  } catch (err) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = {
+  SCREENSHOT_CONFIG,
+  SCREENSHOT_FORMATS,
+  parseScreenshotOptions,
+  saveScreenshot
+};
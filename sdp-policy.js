@@ -0,0 +1,429 @@
+const path = require('path');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+
+// SDP validation and policy enforcement for relayed offers/answers.
+//
+// Every relayed description must be well formed and within size limits. A
+// policy can then rewrite it: drop codecs that are not allowed, cap video
+// bandwidth with b=AS and, in privacy mode, keep only relay (TURN)
+// candidates so peers never learn each other's addresses. The deployment
+// policy comes from the environment; devices can override any field.
+
+// Configuration
+const DATA_DIR = path.join(__dirname, 'data');
+const POLICIES_FILE = path.join(DATA_DIR, 'sdp-policies.json');
+
+const SDP_CONFIG = {
+  MAX_BYTES: parseInt(process.env.SDP_MAX_BYTES, 10) || 64 * 1024, // 64 KB per description
+  MAX_MEDIA_SECTIONS: 16,
+  MAX_CANDIDATE_LENGTH: 1024,
+  BITRATE_LIMITS: { min: 32, max: 100000 } // kbps
+};
+
+const SDP_ERRORS = {
+  INVALID: 'invalid-sdp',
+  TOO_LARGE: 'sdp-too-large',
+  POLICY: 'sdp-policy' // nothing left that the policy allows
+};
+
+// Codec names compare without case or punctuation: H.264 = h264 = H264
+function normalizeCodec(name) {
+  return String(name).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function parseCodecList(value) {
+  const codecs = (value || '').split(',').map(codec => codec.trim()).filter(Boolean);
+  return codecs.length > 0 ? codecs.map(normalizeCodec) : null;
+}
+
+// Deployment policy; null fields do not restrict anything
+const DEFAULT_POLICY = {
+  videoCodecs: parseCodecList(process.env.SDP_VIDEO_CODECS),     // e.g. "H264,VP8"
+  audioCodecs: parseCodecList(process.env.SDP_AUDIO_CODECS),     // e.g. "opus"
+  maxBitrateKbps: parseInt(process.env.SDP_MAX_BITRATE_KBPS, 10) || null,
+  relayOnly: process.env.SDP_RELAY_ONLY === 'true'               // privacy mode
+};
+
+// Payloads that only support a primary codec and follow its fate
+const AUXILIARY_CODECS = ['RTX', 'RED', 'ULPFEC', 'FLEXFEC03', 'CN', 'TELEPHONEEVENT'];
+
+// Static RTP payload types that may appear without an rtpmap line
+const STATIC_PAYLOAD_TYPES = { 0: 'PCMU', 8: 'PCMA', 9: 'G722', 13: 'CN', 18: 'G729' };
+
+// Per-device overrides: deviceId -> partial policy
+const devicePolicies = new Map();
+
+function loadPolicies() {
+  try {
+    const data = JSON.parse(fsSync.readFileSync(POLICIES_FILE, 'utf8'));
+    for (const [deviceId, policy] of Object.entries(data)) {
+      devicePolicies.set(deviceId, policy);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('❌ Failed to load SDP policies:', err.message);
+    }
+  }
+}
+
+loadPolicies();
+
+// Serialize writes so concurrent updates never interleave on disk
+let saveChain = Promise.resolve();
+
+function savePolicies() {
+  const snapshot = JSON.stringify(Object.fromEntries(devicePolicies), null, 2);
+  saveChain = saveChain
+    .then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      const tmpPath = `${POLICIES_FILE}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, POLICIES_FILE);
+    })
+    .catch(err => console.error('❌ Failed to save SDP policies:', err.message));
+  return saveChain;
+}
+
+// Effective policy: the device's overrides on top of the deployment policy
+function getDevicePolicy(deviceId) {
+  return { ...DEFAULT_POLICY, ...(devicePolicies.get(deviceId) || {}) };
+}
+
+// Codecs both lists allow; null allows everything
+function intersectCodecs(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+  return a.filter(codec => b.includes(codec));
+}
+
+/**
+ * Policy for traffic between two devices: the stricter value of every field,
+ * so neither side can loosen the other's policy.
+ *
+ * @param {string} [fromDeviceId] - Sender (the deployment policy when unknown)
+ * @param {string} toDeviceId - Target
+ * @returns {object} - Effective policy
+ */
+function getPairPolicy(fromDeviceId, toDeviceId) {
+  const from = getDevicePolicy(fromDeviceId);
+  const to = getDevicePolicy(toDeviceId);
+  const bitrates = [from.maxBitrateKbps, to.maxBitrateKbps].filter(Boolean);
+  return {
+    videoCodecs: intersectCodecs(from.videoCodecs, to.videoCodecs),
+    audioCodecs: intersectCodecs(from.audioCodecs, to.audioCodecs),
+    maxBitrateKbps: bitrates.length > 0 ? Math.min(...bitrates) : null,
+    relayOnly: Boolean(from.relayOnly || to.relayOnly)
+  };
+}
+
+function getDevicePolicyOverride(deviceId) {
+  return devicePolicies.get(deviceId) || null;
+}
+
+/**
+ * Validate a policy override from an admin.
+ *
+ * @param {object} input - { videoCodecs, audioCodecs, maxBitrateKbps, relayOnly }; omitted or null fields inherit
+ * @returns {{ policy?: object, error?: string }}
+ */
+function parsePolicy(input = {}) {
+  const policy = {};
+
+  for (const field of ['videoCodecs', 'audioCodecs']) {
+    const codecs = input[field];
+    if (codecs === undefined || codecs === null) {
+      continue;
+    }
+    if (!(Array.isArray(codecs) && codecs.length > 0 && codecs.length <= 16 &&
+        codecs.every(codec => typeof codec === 'string' && /^[A-Za-z0-9.-]{1,32}$/.test(codec)))) {
+      return { error: `${field} must be a non-empty list of codec names such as H264, VP8 or opus` };
+    }
+    policy[field] = codecs.map(normalizeCodec);
+  }
+
+  if (input.maxBitrateKbps !== undefined && input.maxBitrateKbps !== null) {
+    const { min, max } = SDP_CONFIG.BITRATE_LIMITS;
+    const bitrate = input.maxBitrateKbps;
+    if (!(Number.isInteger(bitrate) && bitrate >= min && bitrate <= max)) {
+      return { error: `maxBitrateKbps must be an integer between ${min} and ${max}` };
+    }
+    policy.maxBitrateKbps = bitrate;
+  }
+
+  if (input.relayOnly !== undefined && input.relayOnly !== null) {
+    if (typeof input.relayOnly !== 'boolean') {
+      return { error: 'relayOnly must be a boolean' };
+    }
+    policy.relayOnly = input.relayOnly;
+  }
+
+  return { policy };
+}
+
+/**
+ * Override a device's policy.
+ *
+ * @param {string} deviceId
+ * @param {object|null} policy - Validated override (see parsePolicy), null to restore the deployment policy
+ */
+function setDevicePolicy(deviceId, policy) {
+  if (!policy || Object.keys(policy).length === 0) {
+    devicePolicies.delete(deviceId);
+  } else {
+    devicePolicies.set(deviceId, policy);
+  }
+  savePolicies();
+}
+
+function sdpError(code, error) {
+  return { error, code };
+}
+
+// Split a description into session-level lines and media sections
+function parseSdp(sdp) {
+  if (typeof sdp !== 'string' || sdp.length === 0) {
+    return sdpError(SDP_ERRORS.INVALID, 'sdp must be a non-empty string');
+  }
+  if (Buffer.byteLength(sdp, 'utf8') > SDP_CONFIG.MAX_BYTES) {
+    return sdpError(SDP_ERRORS.TOO_LARGE, `SDP is limited to ${SDP_CONFIG.MAX_BYTES} bytes`);
+  }
+  if (/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(sdp)) {
+    return sdpError(SDP_ERRORS.INVALID, 'SDP contains control characters');
+  }
+
+  const lines = sdp.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  if (lines[0] !== 'v=0') {
+    return sdpError(SDP_ERRORS.INVALID, 'SDP must start with v=0');
+  }
+
+  const parsed = { session: [], media: [] };
+  for (const [index, line] of lines.entries()) {
+    if (!/^[a-z]=/.test(line)) {
+      return sdpError(SDP_ERRORS.INVALID, `Malformed SDP line ${index + 1}`);
+    }
+    if (line.startsWith('m=')) {
+      const match = line.match(/^m=([a-z]+) (\d+)(\/\d+)? (\S+)((?: \S+)+)$/);
+      if (!match) {
+        return sdpError(SDP_ERRORS.INVALID, `Malformed media line ${index + 1}`);
+      }
+      parsed.media.push({ kind: match[1], port: match[2], proto: match[4], formats: match[5].trim().split(' '), lines: [line] });
+    } else if (parsed.media.length > 0) {
+      parsed.media[parsed.media.length - 1].lines.push(line);
+    } else {
+      parsed.session.push(line);
+    }
+  }
+
+  if (!parsed.session.some(line => line.startsWith('o=')) || !parsed.session.some(line => line.startsWith('s='))) {
+    return sdpError(SDP_ERRORS.INVALID, 'SDP is missing its o= or s= line');
+  }
+  if (parsed.media.length === 0 || parsed.media.length > SDP_CONFIG.MAX_MEDIA_SECTIONS) {
+    return sdpError(SDP_ERRORS.INVALID, `SDP must have between 1 and ${SDP_CONFIG.MAX_MEDIA_SECTIONS} media sections`);
+  }
+  return { parsed };
+}
+
+// Keep only allowed codecs (and the RTX/FEC payloads that serve them) in a media section
+function filterCodecs(section, allowed) {
+  const codecs = new Map();
+  const associated = new Map();
+  for (const line of section.lines) {
+    const rtpmap = line.match(/^a=rtpmap:(\d+) ([^/\s]+)/);
+    if (rtpmap) {
+      codecs.set(rtpmap[1], normalizeCodec(rtpmap[2]));
+    }
+    const apt = line.match(/^a=fmtp:(\d+) .*\bapt=(\d+)/);
+    if (apt) {
+      associated.set(apt[1], apt[2]);
+    }
+  }
+  const codecOf = pt => codecs.get(pt) || STATIC_PAYLOAD_TYPES[pt];
+
+  const primary = section.formats.filter(pt => allowed.includes(codecOf(pt)));
+  if (primary.length === 0) {
+    return sdpError(SDP_ERRORS.POLICY, `No allowed ${section.kind} codec offered (allowed: ${allowed.join(', ')})`);
+  }
+  const kept = section.formats.filter(pt => primary.includes(pt) ||
+    (AUXILIARY_CODECS.includes(codecOf(pt)) && (!associated.has(pt) || primary.includes(associated.get(pt)))));
+
+  const [mLine, ...rest] = section.lines;
+  section.formats = kept;
+  section.lines = [
+    mLine.split(' ').slice(0, 3).concat(kept).join(' '),
+    ...rest.filter(line => {
+      const format = line.match(/^a=(?:rtpmap|fmtp|rtcp-fb):(\d+)[ \t]/);
+      return !format || kept.includes(format[1]);
+    })
+  ];
+  return {};
+}
+
+// Replace the section's bandwidth lines with b=AS capped at maxKbps
+function capBandwidth(section, maxKbps) {
+  let cap = maxKbps;
+  for (const line of section.lines) {
+    const as = line.match(/^b=AS:(\d+)$/);
+    const tias = line.match(/^b=TIAS:(\d+)$/);
+    if (as) {
+      cap = Math.min(cap, parseInt(as[1], 10));
+    } else if (tias) {
+      cap = Math.min(cap, Math.ceil(parseInt(tias[1], 10) / 1000));
+    }
+  }
+
+  const lines = section.lines.filter(line => !/^b=(AS|TIAS):/.test(line));
+  // b= follows the m=, i= and c= lines
+  let position = 1;
+  while (position < lines.length && /^[ic]=/.test(lines[position])) {
+    position++;
+  }
+  lines.splice(position, 0, `b=AS:${cap}`);
+  section.lines = lines;
+}
+
+// Relay candidates name the address they were allocated for in raddr/rport
+function hideRelatedAddress(line) {
+  return line.replace(/\braddr \S+ rport \d+/, 'raddr 0.0.0.0 rport 0');
+}
+
+// Privacy mode: relay candidates only, and no real address as the origin or default candidate
+function hideAddresses(lines) {
+  return lines
+    .filter(line => !line.startsWith('a=candidate:') || /\btyp relay\b/.test(line))
+    .map(line => {
+      if (line.startsWith('a=candidate:')) {
+        return hideRelatedAddress(line);
+      }
+      if (line.startsWith('o=')) {
+        return line.replace(/ IN (IP[46]) \S+$/, (address, family) => (family === 'IP6' ? ' IN IP6 ::' : ' IN IP4 0.0.0.0'));
+      }
+      if (line.startsWith('c=')) {
+        return line.includes(' IP6 ') ? 'c=IN IP6 ::' : 'c=IN IP4 0.0.0.0';
+      }
+      if (line.startsWith('a=rtcp:')) {
+        return line.includes(' IP6 ') ? 'a=rtcp:9 IN IP6 ::' : 'a=rtcp:9 IN IP4 0.0.0.0';
+      }
+      if (line.startsWith('m=')) {
+        return line.replace(/^(m=[a-z]+ )[1-9]\d*/, (port, prefix) => `${prefix}9`);
+      }
+      return line;
+    });
+}
+
+/**
+ * Validate an SDP description and apply a policy to it.
+ *
+ * @param {string|object} description - SDP text, or { type, sdp } as browsers send it
+ * @param {object} policy - Effective policy (see getDevicePolicy)
+ * @returns {{ sdp?: string|object, error?: string, code?: string }} - Sanitized description in the same shape
+ */
+function sanitizeDescription(description, policy) {
+  const isObject = description !== null && typeof description === 'object';
+  if (isObject && !['offer', 'answer', 'pranswer'].includes(description.type)) {
+    return sdpError(SDP_ERRORS.INVALID, 'Description type must be offer, answer or pranswer');
+  }
+
+  const { parsed, error, code } = parseSdp(isObject ? description.sdp : description);
+  if (error) {
+    return { error, code };
+  }
+
+  for (const section of parsed.media) {
+    const allowed = section.kind === 'video' ? policy.videoCodecs : (section.kind === 'audio' ? policy.audioCodecs : null);
+    // Port 0 marks a rejected section; its formats no longer matter
+    if (allowed && section.port !== '0') {
+      const filtered = filterCodecs(section, allowed);
+      if (filtered.error) {
+        return filtered;
+      }
+    }
+    if (section.kind === 'video' && policy.maxBitrateKbps) {
+      capBandwidth(section, policy.maxBitrateKbps);
+    }
+  }
+
+  let lines = parsed.session.concat(...parsed.media.map(section => section.lines));
+  if (policy.relayOnly) {
+    lines = hideAddresses(lines);
+  }
+
+  const sdp = `${lines.join('\r\n')}\r\n`;
+  return { sdp: isObject ? { type: description.type, sdp } : sdp };
+}
+
+/**
+ * Validate a trickled ICE candidate and apply the policy's privacy mode.
+ *
+ * @param {string|object} candidate - Candidate line, or { candidate, sdpMid, sdpMLineIndex, usernameFragment }
+ * @param {object} policy - Effective policy
+ * @returns {{ candidate?: string|object, dropped?: boolean, error?: string, code?: string }}
+ *   dropped: the candidate is valid but not a relay candidate in privacy mode
+ */
+function sanitizeCandidate(candidate, policy) {
+  const isObject = candidate !== null && typeof candidate === 'object';
+  const line = isObject ? candidate.candidate : candidate;
+  if (typeof line !== 'string' || line.length > SDP_CONFIG.MAX_CANDIDATE_LENGTH) {
+    return sdpError(SDP_ERRORS.INVALID, 'candidate must be a candidate line');
+  }
+  // An empty candidate line is how some browsers mark the end of a generation
+  if (line !== '' && !/^(a=)?candidate:\S+ \d+ \S+ \d+ \S+ \d+ typ (host|srflx|prflx|relay)\b/.test(line)) {
+    return sdpError(SDP_ERRORS.INVALID, 'Malformed ICE candidate');
+  }
+  if (policy.relayOnly && line !== '' && !/\btyp relay\b/.test(line)) {
+    return { dropped: true };
+  }
+  const sanitized = policy.relayOnly ? hideRelatedAddress(line) : line;
+  if (!isObject) {
+    return { candidate: sanitized };
+  }
+
+  const { sdpMid, sdpMLineIndex, usernameFragment } = candidate;
+  return {
+    candidate: {
+      candidate: sanitized,
+      ...(typeof sdpMid === 'string' && { sdpMid }),
+      ...(Number.isInteger(sdpMLineIndex) && { sdpMLineIndex }),
+      ...(typeof usernameFragment === 'string' && { usernameFragment })
+    }
+  };
+}
+
+/**
+ * Check a relayed signal against the policy of the device it involves.
+ *
+ * @param {string} eventName - 'offer', 'answer' or 'ice-candidate'
+ * @param {object} payload - { sdp } or { candidate, endOfCandidates }
+ * @param {object} policy - Effective policy
+ * @returns {{ payload?: object, dropped?: boolean, error?: string, code?: string }}
+ */
+function sanitizeSignal(eventName, payload, policy) {
+  if (eventName === 'ice-candidate') {
+    if (payload.endOfCandidates) {
+      return { payload };
+    }
+    const result = sanitizeCandidate(payload.candidate, policy);
+    return result.candidate !== undefined ? { payload: { ...payload, candidate: result.candidate } } : result;
+  }
+
+  const result = sanitizeDescription(payload.sdp, policy);
+  return result.error ? result : { payload: { ...payload, sdp: result.sdp } };
+}
+
+module.exports = {
+  SDP_CONFIG,
+  SDP_ERRORS,
+  DEFAULT_POLICY,
+  getDevicePolicy,
+  getPairPolicy,
+  getDevicePolicyOverride,
+  parsePolicy,
+  setDevicePolicy,
+  sanitizeDescription,
+  sanitizeCandidate,
+  sanitizeSignal
+};
@@ -1,10 +1,62 @@
 const { Server } = require('socket.io');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const express = require('express');
 const http = require('http');
 const cors = require('cors');
 const { Client: FtpClient } = require('basic-ftp');
-const { tusServer } = require('./tus-upload-server');
+const { tusServer, CHECKSUM_ALGORITHMS } = require('./tus-upload-server');
+const completedStore = require('./completed-store');
+const shareLinks = require('./share-links');
+const storagePolicy = require('./storage-policy');
+const {
+  authenticateDevice,
+  authenticateClient,
+  createPairingCode,
+  revokeDevice,
+  issueAccessToken,
+  authorizeDeviceAccess,
+  isEnrolled,
+  listEnrollments,
+  cleanupPairingCodes,
+  requireDeviceAccess,
+  requireAdmin
+} = require('./device-auth');
+const {
+  SESSION_STATES,
+  VIEWER_PERMISSIONS,
+  sessions,
+  parseMirrorOptions,
+  findChangedOptions,
+  createSession,
+  getSession,
+  getOpenSessionForDevice,
+  listSessions,
+  addViewer,
+  removeViewer,
+  findViewerBySocket,
+  setViewerState,
+  setViewerPermission,
+  endSession,
+  serializeSession,
+  cleanupEndedSessions
+} = require('./mirror-sessions');
+const { getIceServers } = require('./turn-credentials');
+const { ZipWriter } = require('./zip-writer');
+const eventDelivery = require('./event-delivery');
+const commandQueue = require('./command-queue');
+const remoteInput = require('./remote-input');
+const clipboardRelay = require('./clipboard-relay');
+const screenshots = require('./screenshots');
+const iceBuffer = require('./ice-buffer');
+const sdpPolicy = require('./sdp-policy');
+const {
+  PROTOCOL_VERSION,
+  parseCapabilities,
+  getUnsupportedReason,
+  supportsDownloadRange
+} = require('./device-capabilities');
+const { DeviceRpc, RpcError, RPC_ERRORS, generateRequestId } = require('./device-rpc');
 
 const PORT = process.env.PORT || 3001;
 
@@ -29,8 +81,55 @@ const io = new Server(server, {
   maxHttpBufferSize: 1e8  // 100MB max message size
 });
 
+// Devices connect to /device and dashboards/viewers to /client, each limited
+// to its own events. The default namespace has neither the handshake auth nor
+// the event allowlists, so it is only served for older apps that need it
+// (SOCKET_LEGACY_NAMESPACE=true).
+const deviceNamespace = io.of('/device');
+const clientNamespace = io.of('/client');
+const SOCKET_NAMESPACES = [io.of('/'), deviceNamespace, clientNamespace];
+const LEGACY_NAMESPACE_ENABLED = process.env.SOCKET_LEGACY_NAMESPACE === 'true';
+
+if (LEGACY_NAMESPACE_ENABLED) {
+  console.warn('⚠️  SOCKET_LEGACY_NAMESPACE=true: the default namespace accepts every event without CLIENT_TOKEN');
+}
+
+// Look up a socket by id in any namespace
+function getSocket(socketId) {
+  for (const namespace of SOCKET_NAMESPACES) {
+    const socket = namespace.sockets.get(socketId);
+    if (socket) {
+      return socket;
+    }
+  }
+  return null;
+}
+
+// Emit to one socket wherever it is connected (device or client)
+function emitToSocket(socketId, eventName, payload) {
+  const socket = getSocket(socketId);
+  if (socket) {
+    socket.emit(eventName, payload);
+  }
+  return Boolean(socket);
+}
+
+// Rooms (e.g. mirroring sessions) can hold sockets from every namespace
+function emitToRoom(room, eventName, payload) {
+  SOCKET_NAMESPACES.forEach(namespace => namespace.to(room).emit(eventName, payload));
+}
+
 // Middleware
-app.use(cors());
+// The TUS server answers its own CORS and OPTIONS (extension discovery)
+const corsMiddleware = cors();
+app.use((req, res, next) => (req.path.startsWith('/tus') ? next() : corsMiddleware(req, res, next)));
+// Clipboard images need a larger body than the default JSON limit
+app.use('/api/devices/:deviceId/clipboard', express.json({ limit: clipboardRelay.JSON_BODY_LIMIT }), (err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Clipboard content is limited to ${clipboardRelay.CLIPBOARD_CONFIG.MAX_IMAGE_BYTES} bytes` });
+  }
+  next(err);
+});
 app.use(express.json());
 app.use(express.static('public'));
 
@@ -40,6 +139,12 @@ app.set('io', io);
 // Store connected devices
 const devices = new Map();
 
+// Request/acknowledge calls to devices (timeouts, retries, cancellation)
+const deviceRpc = new DeviceRpc({ getDevice: deviceId => devices.get(deviceId), getSocket });
+
+// STOP_MIRROR / UPDATE_MIRROR_CONFIG wait less than file requests: an API caller is waiting
+const MIRROR_CONTROL_TIMEOUT = 10000;
+
 // Store pending file operation requests (for WebSocket-based file transfer)
 const pendingRequests = new Map();
 
@@ -53,12 +158,573 @@ const CLEANUP_CONFIG = {
   PENDING_REQUEST_TIMEOUT: 30 * 1000,  // 30 seconds - timeout pending requests
   CLEANUP_INTERVAL: 5 * 60 * 1000,     // 5 minutes - run cleanup
   MAX_DEVICES: 100,                     // Limit total devices
-  MAX_MONITORED_APPS: 50                // Limit monitored apps
+  MAX_MONITORED_APPS: 50,               // Limit monitored apps
+  // Keep a disconnected device's identity, sessions and requests this long
+  RECONNECT_GRACE_PERIOD: parseInt(process.env.RECONNECT_GRACE_PERIOD_MS, 10) || 2 * 60 * 1000 // 2 minutes
+};
+
+// Grace timers for disconnected devices: deviceId -> timeoutId
+const reconnectTimers = new Map();
+
+// Device-to-browser download streaming (credit-based flow control)
+const DOWNLOAD_CONFIG = {
+  CHUNK_SIZE: 256 * 1024, // 256KB - suggested binary chunk size
+  CREDIT_WINDOW: 8,       // chunks the device may have in flight (~2MB buffered)
+  CHECKSUM_ALGORITHM: 'sha256', // devices may send a final hash of the bytes they streamed
+  MAX_CHECKSUM_FAILURES: 100    // recent mismatches kept for /api/downloads/checksum-failures
 };
 
-// Helper function to generate unique request IDs
-function generateRequestId() {
-  return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// Recent relayed downloads whose device checksum did not match (newest last)
+const checksumFailures = [];
+
+// Helper function to strip credentials from event payloads before logging
+function redactSecrets(data) {
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+  const redacted = { ...data };
+  for (const key of ['deviceSecret', 'pairingCode']) {
+    if (redacted[key]) {
+      redacted[key] = '[redacted]';
+    }
+  }
+  return redacted;
+}
+
+// Helper function to bind a deviceId to a socket, evicting any stale socket
+// that still holds the same deviceId (e.g. after a silent network change)
+function claimDeviceSocket(deviceId, socket) {
+  const existing = devices.get(deviceId);
+  if (existing && existing.socketId && existing.socketId !== socket.id) {
+    const staleSocket = getSocket(existing.socketId);
+    if (staleSocket) {
+      console.log(`🔁 Replacing stale socket ${existing.socketId} for device ${deviceId}`);
+      staleSocket.deviceId = null;
+      staleSocket.disconnect(true);
+    }
+  }
+  socket.deviceId = deviceId;
+}
+
+// Device Reconnection Grace Period
+function markDeviceReconnecting(deviceId) {
+  const device = devices.get(deviceId);
+  if (!device) {
+    return;
+  }
+
+  device.status = 'reconnecting';
+  device.socketId = null;
+  device.disconnectedAt = Date.now();
+  device.lastActivity = Date.now();
+
+  clearTimeout(reconnectTimers.get(deviceId));
+  reconnectTimers.set(deviceId, setTimeout(() => {
+    expireDeviceConnection(deviceId);
+  }, CLEANUP_CONFIG.RECONNECT_GRACE_PERIOD));
+
+  console.log(`⏳ Device ${deviceId} reconnecting (grace period ${CLEANUP_CONFIG.RECONNECT_GRACE_PERIOD / 1000}s)`);
+}
+
+// Returns true if the device re-registered inside its grace window
+function resumeDeviceConnection(deviceId) {
+  const timer = reconnectTimers.get(deviceId);
+  if (!timer) {
+    return false;
+  }
+  clearTimeout(timer);
+  reconnectTimers.delete(deviceId);
+  return true;
+}
+
+// Grace window elapsed: fail everything still waiting on the device
+function expireDeviceConnection(deviceId) {
+  reconnectTimers.delete(deviceId);
+
+  const device = devices.get(deviceId);
+  if (!device || device.status !== 'reconnecting') {
+    return;
+  }
+
+  device.status = 'offline';
+  console.log(`❌ Device ${deviceId} did not reconnect within grace period`);
+
+  // Sessions still waiting on a queued REQUEST_MIRROR stay open for the device
+  for (const session of listSessions({ deviceId, includeEnded: false })) {
+    if (!commandQueue.isQueued(session.id)) {
+      finishSession(session, 'device-disconnected');
+    }
+  }
+  failPendingRequestsForDevice(deviceId, 'Device disconnected');
+  broadcastDeviceList();
+}
+
+function failPendingRequestsForDevice(deviceId, reason) {
+  deviceRpc.failDevice(deviceId, reason);
+
+  for (const [requestId, request] of pendingRequests.entries()) {
+    if (request.deviceId !== deviceId) {
+      continue;
+    }
+
+    clearTimeout(request.timeoutId);
+    if (request.reject) {
+      request.reject(new Error(reason));
+    }
+    if (request.response) {
+      if (!request.response.headersSent) {
+        request.response.status(502).json({ error: reason });
+      } else {
+        // Abort instead of end() so the browser doesn't keep a truncated file
+        request.response.destroy();
+      }
+    }
+    pendingRequests.delete(requestId);
+    console.log(`❌ Failed pending request ${requestId}: ${reason}`);
+  }
+}
+
+/**
+ * Parse a single-range "Range: bytes=start-end" header.
+ *
+ * Multi-range and suffix ("bytes=-500") forms are not supported and, as
+ * RFC 9110 permits, are ignored so the full file is served instead.
+ *
+ * @param {string} header - Raw Range header value
+ * @returns {{ start: number, end: number|null }|null}
+ */
+function parseRangeHeader(header) {
+  const match = /^bytes=(\d+)-(\d*)$/.exec((header || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] === '' ? null : parseInt(match[2], 10);
+  if (end !== null && end < start) {
+    return null;
+  }
+  return { start, end };
+}
+
+/**
+ * Content-Disposition for a client- or device-supplied filename. The quoted
+ * filename is an ASCII fallback; filename* (RFC 5987) carries the real name,
+ * so the header value is always valid.
+ *
+ * @param {string} type - 'attachment' or 'inline'
+ * @param {string} filename
+ * @returns {string}
+ */
+function contentDisposition(type, filename) {
+  // Lone surrogates would make encodeURIComponent throw
+  const name = String(filename).replace(/[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g, '_');
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+function guessMimeType(filename) {
+  const ext = filename.split('.').pop().toLowerCase();
+  const mimeTypes = {
+    'mp4': 'video/mp4', 'webm': 'video/webm', 'mkv': 'video/x-matroska', 'mov': 'video/quicktime',
+    'mp3': 'audio/mpeg', 'wav': 'audio/wav', 'ogg': 'audio/ogg', 'm4a': 'audio/mp4', 'aac': 'audio/aac',
+    'jpg': 'image/jpeg', 'jpeg': 'image/jpeg', 'png': 'image/png', 'gif': 'image/gif', 'webp': 'image/webp',
+    'pdf': 'application/pdf', 'txt': 'text/plain', 'json': 'application/json'
+  };
+  return mimeTypes[ext] || 'application/octet-stream';
+}
+
+/**
+ * Commit status and length headers for a streaming download.
+ *
+ * Called once, on ftp-download-start or the first chunk. Ranges are only
+ * requested from devices with ftp-download-range, which must report
+ * fileSize so Range requests get 206 with Content-Range. Other devices
+ * stream the whole file from offset 0 and we answer 200 (with
+ * Content-Length when the size is known).
+ *
+ * @returns {boolean} - false if the request was answered (416/502) and must stop
+ */
+function beginDownloadResponse(requestId, pendingRequest, fileSize) {
+  if (pendingRequest.started) {
+    return true;
+  }
+  pendingRequest.started = true;
+
+  const { response, range } = pendingRequest;
+  const size = fileSize === undefined || fileSize === null ? NaN : Number(fileSize);
+
+  if (!Number.isFinite(size) || size < 0) {
+    if (range) {
+      // The bytes start at range.start, but without a size no Content-Range can describe them
+      console.warn(`⚠️ Device sent a range without fileSize for requestId=${requestId}`);
+      clearTimeout(pendingRequest.timeoutId);
+      pendingRequests.delete(requestId);
+      response.status(502).json({ error: 'Device did not report the file size for a range request' });
+      deviceRpc.cancel(requestId, { deviceId: pendingRequest.deviceId, cancelEvent: 'ftp-download-cancel' });
+      return false;
+    }
+    response.status(200);
+    return true;
+  }
+
+  response.setHeader('Accept-Ranges', supportsDownloadRange(devices.get(pendingRequest.deviceId)) ? 'bytes' : 'none');
+
+  if (!range) {
+    response.status(200);
+    response.setHeader('Content-Length', size);
+    pendingRequest.expectedBytes = size;
+    return true;
+  }
+
+  if (range.start >= size) {
+    console.warn(`⚠️ Unsatisfiable range for requestId=${requestId}: start=${range.start}, size=${size}`);
+    clearTimeout(pendingRequest.timeoutId);
+    pendingRequests.delete(requestId);
+    response.setHeader('Content-Range', `bytes */${size}`);
+    response.status(416).end();
+
+    deviceRpc.cancel(requestId, { deviceId: pendingRequest.deviceId, cancelEvent: 'ftp-download-cancel' });
+    return false;
+  }
+
+  const end = range.end === null ? size - 1 : Math.min(range.end, size - 1);
+  const length = end - range.start + 1;
+  response.status(206);
+  response.setHeader('Content-Range', `bytes ${range.start}-${end}/${size}`);
+  response.setHeader('Content-Length', length);
+  pendingRequest.expectedBytes = length;
+  return true;
+}
+
+/**
+ * Check the device's final checksum against the bytes we relayed.
+ *
+ * Devices that support it send `checksum: "<algorithm> <digest>"` (base64
+ * as in TUS Upload-Checksum, or hex) with the last chunk, covering exactly
+ * the bytes they streamed for this request. Mismatches are logged and
+ * recorded in checksumFailures.
+ *
+ * @returns {boolean|null} - null when there was no usable checksum to verify
+ */
+function verifyTransferChecksum(requestId, pendingRequest, checksum) {
+  if (!checksum || !pendingRequest.hash) {
+    return null;
+  }
+
+  const [algorithm, digest] = String(checksum).trim().split(/\s+/);
+  if (!digest || algorithm.toLowerCase() !== DOWNLOAD_CONFIG.CHECKSUM_ALGORITHM) {
+    console.warn(`⚠️ Unsupported download checksum for requestId=${requestId}: ${algorithm}`);
+    return null;
+  }
+
+  const actual = pendingRequest.hash.digest();
+  const expected = /^[0-9a-f]+$/i.test(digest) && digest.length === actual.length * 2
+    ? Buffer.from(digest, 'hex')
+    : Buffer.from(digest, 'base64');
+
+  if (expected.equals(actual)) {
+    console.log(`🔒 Checksum verified for requestId=${requestId}`);
+    return true;
+  }
+
+  console.error(`❌ Checksum mismatch for requestId=${requestId} (${pendingRequest.deviceId}:${pendingRequest.path}): expected ${expected.toString('hex')}, got ${actual.toString('hex')}`);
+  checksumFailures.push({
+    requestId,
+    deviceId: pendingRequest.deviceId,
+    path: pendingRequest.path,
+    algorithm: DOWNLOAD_CONFIG.CHECKSUM_ALGORITHM,
+    expected: expected.toString('hex'),
+    actual: actual.toString('hex'),
+    bytes: pendingRequest.bytesSent,
+    timestamp: new Date().toISOString()
+  });
+  if (checksumFailures.length > DOWNLOAD_CONFIG.MAX_CHECKSUM_FAILURES) {
+    checksumFailures.shift();
+  }
+  return false;
+}
+
+// Allow the device to send more chunks for a streaming download
+function grantDownloadCredits(requestId, credits) {
+  const pendingRequest = pendingRequests.get(requestId);
+  if (!pendingRequest) {
+    return;
+  }
+
+  const device = devices.get(pendingRequest.deviceId);
+  if (device && device.socketId) {
+    emitToSocket(device.socketId, 'ftp-download-credit', { requestId, credits });
+  } else {
+    // Device is reconnecting; hand the credits back once it returns
+    pendingRequest.owedCredits += credits;
+  }
+}
+
+// Normalize a device-supplied name into a relative ZIP entry name: no
+// absolute paths, drive letters, "." / ".." segments or control characters.
+// Returns null if nothing usable is left.
+function sanitizeEntryName(name) {
+  const segments = String(name || '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .map(segment => segment.replace(/[\x00-\x1f\x7f]/g, '').replace(/^[a-zA-Z]:$/, '').trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+  return segments.length > 0 ? segments.join('/') : null;
+}
+
+// Resolve directories (recursively) and files into ZIP entries. Paths that
+// can't be archived are returned in `skipped` ("path: reason").
+async function collectArchiveEntries(device, job) {
+  const entries = [];
+  const skipped = [];
+  const usedNames = new Set();
+
+  const addEntry = (filePath, name, file = {}) => {
+    if (entries.length >= ZIP_CONFIG.MAX_ENTRIES) {
+      const err = new Error(`Too many files (limit ${ZIP_CONFIG.MAX_ENTRIES})`);
+      err.statusCode = 413;
+      throw err;
+    }
+
+    // Keep names unique: "photo.jpg", "photo (1).jpg", ...
+    let uniqueName = name;
+    for (let i = 1; usedNames.has(uniqueName); i++) {
+      const dot = name.lastIndexOf('.');
+      uniqueName = dot > 0 ? `${name.slice(0, dot)} (${i})${name.slice(dot)}` : `${name} (${i})`;
+    }
+    usedNames.add(uniqueName);
+
+    const modified = file.lastModified || file.modifiedAt || file.date;
+    entries.push({
+      path: filePath,
+      name: uniqueName,
+      mtime: modified ? new Date(modified) : new Date()
+    });
+  };
+
+  const walk = async (dirPath, prefix, depth) => {
+    if (depth > ZIP_CONFIG.MAX_DEPTH) {
+      skipped.push(`${dirPath}: deeper than ${ZIP_CONFIG.MAX_DEPTH} levels, not archived`);
+      return;
+    }
+
+    let offset = 0;
+    let hasMore = true;
+    while (hasMore) {
+      const page = await requestFileList(device, { path: dirPath, limit: 1000, offset, sortBy: 'name-asc' });
+      const files = page.files || [];
+
+      for (const file of files) {
+        const childPath = file.path || (dirPath === '/' ? `/${file.name}` : `${dirPath}/${file.name}`);
+        const name = sanitizeEntryName(file.name);
+        if (!name) {
+          skipped.push(`${childPath}: unsafe name, not archived`);
+          continue;
+        }
+        if (file.type === 'directory') {
+          await walk(childPath, `${prefix}${name}/`, depth + 1);
+        } else {
+          addEntry(childPath, `${prefix}${name}`, file);
+        }
+      }
+
+      offset += files.length;
+      hasMore = Boolean(page.hasMore) && files.length > 0;
+    }
+  };
+
+  for (const dirPath of job.directories) {
+    const dirName = sanitizeEntryName(dirPath.split('/').pop()) || 'root';
+    await walk(dirPath, `${dirName}/`, 0);
+  }
+
+  for (const filePath of job.paths) {
+    addEntry(filePath, sanitizeEntryName(filePath.split('/').pop()) || 'file');
+  }
+
+  return { entries, skipped };
+}
+
+/**
+ * Request a file from the device and feed its chunks to `sink` instead of
+ * an HTTP response. Flow control works like regular downloads: credits are
+ * returned only while the sink accepts data.
+ *
+ * @param {string} deviceId
+ * @param {string} filePath - Path on the device
+ * @param {function(Buffer): boolean} sink - Returns false when saturated
+ * @param {function(string)} [onRequest] - Receives the requestId
+ * @returns {Promise<number>} - Bytes received
+ */
+function fetchFileIntoSink(deviceId, filePath, sink, onRequest) {
+  return new Promise((resolve, reject) => {
+    const device = devices.get(deviceId);
+    if (!device || !device.socketId) {
+      reject(new Error('Device not connected'));
+      return;
+    }
+
+    const requestId = generateRequestId();
+    const timeoutId = setTimeout(() => {
+      if (pendingRequests.has(requestId)) {
+        pendingRequests.delete(requestId);
+        reject(new Error('Request timeout'));
+      }
+    }, 3600000); // 60 minutes
+
+    pendingRequests.set(requestId, {
+      sink,
+      resolve,
+      reject,
+      deviceId,
+      path: filePath,
+      timeoutId,
+      startTime: Date.now(),
+      bytesSent: 0,
+      owedCredits: 0,
+      hash: crypto.createHash(DOWNLOAD_CONFIG.CHECKSUM_ALGORITHM)
+    });
+
+    if (onRequest) {
+      onRequest(requestId);
+    }
+
+    // The call settles when the device accepts; chunks follow separately
+    deviceRpc.call(deviceId, 'ftp-download-request', {
+      path: filePath,
+      offset: 0,
+      length: null,
+      transport: 'binary',
+      chunkSize: DOWNLOAD_CONFIG.CHUNK_SIZE,
+      credits: DOWNLOAD_CONFIG.CREDIT_WINDOW,
+      checksum: DOWNLOAD_CONFIG.CHECKSUM_ALGORITHM
+    }, { requestId, retries: 1, cancelEvent: 'ftp-download-cancel' }).catch(err => {
+      if (pendingRequests.has(requestId)) {
+        clearTimeout(timeoutId);
+        pendingRequests.delete(requestId);
+        reject(err);
+      }
+    });
+  });
+}
+
+function handleArchiveChunk(requestId, pendingRequest, data) {
+  const { chunk, isLast, error, checksum } = data;
+
+  if (error) {
+    clearTimeout(pendingRequest.timeoutId);
+    pendingRequests.delete(requestId);
+    pendingRequest.reject(new Error(error));
+    return;
+  }
+
+  if (chunk) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'base64');
+    pendingRequest.hash.update(buffer);
+    const flushed = pendingRequest.sink(buffer);
+    pendingRequest.bytesSent += buffer.length;
+
+    if (!isLast) {
+      if (flushed) {
+        grantDownloadCredits(requestId, 1);
+      } else {
+        pendingRequest.owedCredits++;
+      }
+    }
+  }
+
+  if (isLast) {
+    clearTimeout(pendingRequest.timeoutId);
+    pendingRequests.delete(requestId);
+    // The data is already in the archive; a mismatch is reported in _download_errors.txt
+    if (verifyTransferChecksum(requestId, pendingRequest, checksum) === false) {
+      pendingRequest.reject(new Error('Checksum mismatch'));
+      return;
+    }
+    pendingRequest.resolve(pendingRequest.bytesSent);
+  }
+}
+
+// Write entries into a ZIP stream on `res`. Skipped paths and files that
+// fail on the device are listed in _download_errors.txt; losing the device
+// aborts the archive.
+async function streamArchive(deviceId, entries, res, skipped = []) {
+  const zip = new ZipWriter(res);
+  const failures = [...skipped];
+  let currentRequestId = null;
+  let aborted = false;
+
+  res.on('drain', () => {
+    const pendingRequest = pendingRequests.get(currentRequestId);
+    if (pendingRequest && pendingRequest.owedCredits > 0) {
+      const credits = pendingRequest.owedCredits;
+      pendingRequest.owedCredits = 0;
+      grantDownloadCredits(currentRequestId, credits);
+    }
+  });
+
+  res.on('close', () => {
+    if (res.writableFinished) {
+      return;
+    }
+    aborted = true;
+    console.log(`🛑 ZIP download aborted by client`);
+
+    const pendingRequest = pendingRequests.get(currentRequestId);
+    if (pendingRequest) {
+      clearTimeout(pendingRequest.timeoutId);
+      pendingRequests.delete(currentRequestId);
+      deviceRpc.cancel(currentRequestId, { deviceId, cancelEvent: 'ftp-download-cancel' });
+      pendingRequest.reject(new Error('Client aborted'));
+    }
+  });
+
+  const startTime = Date.now();
+  for (const entry of entries) {
+    if (aborted) {
+      return;
+    }
+
+    zip.startEntry(entry.name, { mtime: entry.mtime });
+    try {
+      await fetchFileIntoSink(deviceId, entry.path, buffer => zip.write(buffer), id => {
+        currentRequestId = id;
+      });
+    } catch (err) {
+      if (aborted) {
+        return;
+      }
+      const device = devices.get(deviceId);
+      if (!device || !device.socketId) {
+        console.error(`❌ ZIP aborted, device ${deviceId} unavailable: ${err.message}`);
+        res.destroy();
+        return;
+      }
+      console.warn(`⚠️ ZIP entry failed: ${entry.path}: ${err.message}`);
+      failures.push(`${entry.path}: ${err.message}`);
+    }
+    zip.endEntry();
+  }
+
+  if (failures.length > 0) {
+    zip.startEntry('_download_errors.txt');
+    zip.write(Buffer.from(failures.join('\n') + '\n', 'utf8'));
+    zip.endEntry();
+  }
+
+  zip.finish();
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  console.log(`✅ ZIP completed: ${entries.length} file(s), ${failures.length - skipped.length} failed, ${skipped.length} skipped, ${zip.offset} bytes in ${duration}s`);
+}
+
+function pendingRequestIdsForDevice(deviceId) {
+  const streamIds = Array.from(pendingRequests.entries())
+    .filter(([, request]) => request.deviceId === deviceId)
+    .map(([requestId]) => requestId);
+  return Array.from(new Set([...streamIds, ...deviceRpc.pendingCallIds(deviceId)]));
 }
 
 // Render Free Tier Optimization: Cleanup Functions
@@ -69,6 +735,8 @@ function cleanupStaleDevices() {
   for (const [deviceId, device] of devices.entries()) {
     const lastActivity = device.lastActivity || device.connectedAt?.getTime() || 0;
     if (now - lastActivity > CLEANUP_CONFIG.DEVICE_TTL) {
+      clearTimeout(reconnectTimers.get(deviceId));
+      reconnectTimers.delete(deviceId);
       devices.delete(deviceId);
       removed++;
       console.log(`🧹 Removed stale device: ${deviceId}`);
@@ -130,6 +798,11 @@ function cleanupPendingRequests() {
   let removed = 0;
 
   for (const [requestId, request] of pendingRequests.entries()) {
+    // Streaming transfers manage their own (much longer) timeout
+    if (request.response || request.sink || request.push) {
+      continue;
+    }
+
     const age = now - (request.timestamp || 0);
     if (age > CLEANUP_CONFIG.PENDING_REQUEST_TIMEOUT) {
       if (request.reject) {
@@ -147,13 +820,21 @@ function cleanupPendingRequests() {
 
 function logMemoryUsage() {
   const usage = process.memoryUsage();
-  console.log(`📊 Memory: ${Math.round(usage.heapUsed / 1024 / 1024)}MB / ${Math.round(usage.heapTotal / 1024 / 1024)}MB | Devices: ${devices.size} | Apps: ${monitoredApps.size} | Requests: ${pendingRequests.size}`);
+  console.log(`📊 Memory: ${Math.round(usage.heapUsed / 1024 / 1024)}MB / ${Math.round(usage.heapTotal / 1024 / 1024)}MB | Devices: ${devices.size} | Apps: ${monitoredApps.size} | Requests: ${pendingRequests.size} | RPC calls: ${deviceRpc.calls.size} | Sessions: ${sessions.size} | Held ICE routes: ${iceBuffer.buffers.size}`);
 }
 
 function runPeriodicCleanup() {
   cleanupStaleDevices();
   cleanupMonitoredApps();
   cleanupPendingRequests();
+  cleanupPairingCodes();
+  cleanupEndedSessions();
+  shareLinks.cleanupExpiredShares();
+  eventDelivery.cleanupOrigins();
+  expireQueuedCommands();
+  deviceRpc.cleanupIdempotencyKeys();
+  remoteInput.cleanupInputLimiters();
+  cleanupIceRequestCounts();
   logMemoryUsage();
 }
 
@@ -161,47 +842,204 @@ function runPeriodicCleanup() {
 setInterval(runPeriodicCleanup, CLEANUP_CONFIG.CLEANUP_INTERVAL);
 console.log(`✅ Periodic cleanup enabled (every ${CLEANUP_CONFIG.CLEANUP_INTERVAL / 1000}s)`);
 
-// FTP Helper Functions (legacy - kept for backward compatibility)
-async function connectToDeviceFtp(deviceIp) {
-  const client = new FtpClient();
-  client.ftp.verbose = false;
-
-  try {
-    await client.access({
-      host: deviceIp,
-      port: 2121,
-      user: "ftpuser",
-      password: "ftp123456"
-    });
-    return client;
-  } catch (err) {
-    console.error(`❌ FTP connection failed to ${deviceIp}:`, err.message);
-    throw err;
-  }
+/**
+ * Send a request event to a device and wait for the matching response.
+ *
+ * The device acknowledges the call (see device-rpc.js), or answers with the
+ * same requestId in a response event that settles it.
+ *
+ * @param {object} device - Entry from the devices Map (must have a socketId)
+ * @param {string} eventName - Request event, e.g. 'ftp-delete-request'
+ * @param {object} payload - Event data (requestId is added)
+ * @param {number} [timeoutMs] - Defaults to 30 seconds
+ * @returns {Promise<object>} - The device's response data; rejects with RpcError
+ */
+function sendDeviceRequest(device, eventName, payload, timeoutMs = 30000) {
+  // The answer goes back in the HTTP response: no socket is its requester
+  const requestId = generateRequestId();
+  eventDelivery.trackOrigin(requestId, null, device.id);
+
+  return deviceRpc.call(device.id, eventName, payload, {
+    requestId,
+    timeout: timeoutMs,
+    retries: 1
+  }).finally(() => eventDelivery.forgetOrigin(requestId));
 }
 
-async function listFtpDirectory(deviceIp, path = "/") {
-  const client = await connectToDeviceFtp(deviceIp);
-  try {
-    const list = await client.list(path);
-    return list.map(item => ({
-      name: item.name,
-      type: item.type === 1 ? 'file' : 'directory',
-      size: item.size,
-      modifiedAt: item.modifiedAt
-    }));
-  } finally {
-    client.close();
-  }
+/**
+ * Ask a device for one page of a directory listing over WebSocket.
+ *
+ * @param {object} device - Entry from the devices Map (must have a socketId)
+ * @param {object} params - { path, limit, offset, sortBy }
+ * @returns {Promise<{ files: object[], hasMore: boolean, totalCount: number }>}
+ */
+function requestFileList(device, { path, limit, offset, sortBy }) {
+  console.log(`📤 Sending file list request to ${device.id}: path=${path}, limit=${limit}, offset=${offset}, sortBy=${sortBy}`);
+
+  // Send request to device via WebSocket with pagination and sorting
+  return sendDeviceRequest(device, 'ftp-list-request', {
+    path,
+    limit,
+    offset,
+    sortBy
+  });
 }
 
-async function downloadFtpFile(deviceIp, remotePath, res) {
-  const client = await connectToDeviceFtp(deviceIp);
-  try {
-    await client.downloadTo(res, remotePath);
-  } finally {
-    client.close();
-  }
+// Event data as emitted; TURN credentials are minted at send time, not queued
+function commandPayload(deviceId, eventName, payload) {
+  return eventName === 'REQUEST_MIRROR' ? { ...payload, iceConfig: getIceServers(deviceId) } : payload;
+}
+
+// Deliver a recorded command over RPC; the device's ack acknowledges it
+function dispatchCommand(deviceId, eventName, payload, idempotencyKey) {
+  return deviceRpc.call(deviceId, eventName, commandPayload(deviceId, eventName, payload), {
+    requestId: payload.requestId,
+    idempotencyKey,
+    retries: 1,
+    awaitResponse: false
+  }).then(result => {
+    // null: sent to a device without acks, which answers with its own events
+    if (result) {
+      commandQueue.ackCommand(payload.requestId, deviceId);
+      if (eventName === 'REQUEST_MIRROR') {
+        recordMirrorAck(deviceId, payload.sessionId, eventName);
+      }
+    }
+    return result;
+  }, err => {
+    commandQueue.failCommand(payload.requestId, err.message);
+    throw err;
+  });
+}
+
+/**
+ * Send a queueable command (see command-queue.js) to a device, or queue it
+ * until the device registers again if it is offline.
+ *
+ * @param {string} deviceId
+ * @param {string} eventName - e.g. 'REQUEST_MIRROR', 'vps-upload-request'
+ * @param {object} payload - Event data including requestId
+ * @param {object} [options] - { ttl } seconds to wait for an offline device, { idempotencyKey }
+ * @returns {{ command?: object, delivery?: Promise<object>, error?: string, statusCode?: number }}
+ *   delivery settles with the device's ack (null right away for devices without acks)
+ */
+function sendCommand(deviceId, eventName, payload, options = {}) {
+  const device = devices.get(deviceId);
+
+  if (device && device.socketId) {
+    const result = commandQueue.recordCommand(deviceId, eventName, payload, { ...options, delivered: true });
+    return { ...result, delivery: dispatchCommand(deviceId, eventName, payload, options.idempotencyKey) };
+  }
+
+  // Only queue for devices we know will come back
+  if (!commandQueue.isQueueable(eventName) || (!device && !isEnrolled(deviceId))) {
+    return { error: 'Device not found or offline', statusCode: 404 };
+  }
+
+  const result = commandQueue.recordCommand(deviceId, eventName, payload, options);
+  return result.error ? { ...result, statusCode: 429 } : result;
+}
+
+// Deliver everything queued while the device was away, oldest first
+function deliverQueuedCommands(deviceId) {
+  const device = devices.get(deviceId);
+  if (!device || !device.socketId) {
+    return;
+  }
+
+  commandQueue.flushQueue(deviceId, (command) => {
+    const { eventName, payload } = command;
+    const session = eventName === 'REQUEST_MIRROR' ? getSession(payload.sessionId) : null;
+    if (eventName === 'REQUEST_MIRROR' && (!session || session.state === SESSION_STATES.ENDED)) {
+      return 'Session has ended';
+    }
+
+    const unsupported = getUnsupportedReason(device, eventName, payload);
+    if (unsupported) {
+      if (session) {
+        finishSession(session, 'unsupported');
+      }
+      return unsupported;
+    }
+
+    dispatchCommand(deviceId, eventName, payload, command.idempotencyKey).catch(err => {
+      console.warn(`⚠️ Queued ${eventName} (${payload.requestId}) failed: ${err.message}`);
+      if (session) {
+        finishSession(session, 'request-failed');
+      }
+    });
+
+    // Viewers that joined while the device was offline
+    if (session) {
+      for (const viewer of session.viewers.values()) {
+        emitToSocket(device.socketId, 'viewer-joined', { sessionId: session.id, viewerId: viewer.viewerId });
+      }
+    }
+    return null;
+  });
+}
+
+// Queued commands that ran out of time: tell whoever is waiting on them
+function expireQueuedCommands() {
+  for (const command of commandQueue.cleanupCommands()) {
+    const { requestId, deviceId, eventName, payload } = command;
+    if (eventName === 'REQUEST_MIRROR') {
+      const session = getSession(payload.sessionId);
+      if (session) {
+        finishSession(session, 'request-expired');
+      }
+    } else if (eventName === 'vps-upload-request') {
+      eventDelivery.deliver(io, 'vps-upload-response', {
+        requestId,
+        deviceId,
+        error: 'Device did not reconnect before the request expired'
+      }, { ids: [requestId], deviceId });
+      eventDelivery.forgetOrigin(requestId);
+    }
+  }
+}
+
+// FTP Helper Functions (legacy - kept for backward compatibility)
+async function connectToDeviceFtp(deviceIp) {
+  const client = new FtpClient();
+  client.ftp.verbose = false;
+
+  try {
+    await client.access({
+      host: deviceIp,
+      port: 2121,
+      user: "ftpuser",
+      password: "ftp123456"
+    });
+    return client;
+  } catch (err) {
+    console.error(`❌ FTP connection failed to ${deviceIp}:`, err.message);
+    throw err;
+  }
+}
+
+async function listFtpDirectory(deviceIp, path = "/") {
+  const client = await connectToDeviceFtp(deviceIp);
+  try {
+    const list = await client.list(path);
+    return list.map(item => ({
+      name: item.name,
+      type: item.type === 1 ? 'file' : 'directory',
+      size: item.size,
+      modifiedAt: item.modifiedAt
+    }));
+  } finally {
+    client.close();
+  }
+}
+
+async function downloadFtpFile(deviceIp, remotePath, res) {
+  const client = await connectToDeviceFtp(deviceIp);
+  try {
+    await client.downloadTo(res, remotePath);
+  } finally {
+    client.close();
+  }
 }
 
 
@@ -315,6 +1153,11 @@ app.get('/', (req, res) => {
           color: #721c24;
         }
 
+        .status-reconnecting {
+          background: #fff3cd;
+          color: #856404;
+        }
+
         .browse-btn {
           background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
           color: white;
@@ -332,6 +1175,110 @@ app.get('/', (req, res) => {
           box-shadow: 0 5px 15px rgba(102, 126, 234, 0.4);
         }
 
+        .mirror-controls {
+          margin-top: 15px;
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .mirror-controls select,
+        .mirror-controls input {
+          padding: 8px 10px;
+          border: 1px solid #ddd;
+          border-radius: 8px;
+          font-size: 0.9em;
+        }
+
+        .mirror-controls input {
+          width: 120px;
+        }
+
+        .mirror-btn {
+          background: white;
+          color: #667eea;
+          border: 2px solid #667eea;
+          padding: 8px 16px;
+          border-radius: 20px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .mirror-btn:hover {
+          background: #667eea;
+          color: white;
+        }
+
+        .mirror-status {
+          width: 100%;
+          color: #666;
+          font-size: 0.85em;
+        }
+
+        .clipboard-panel {
+          margin-top: 15px;
+          background: #f8f9fa;
+          border-radius: 10px;
+          padding: 15px;
+        }
+
+        .clipboard-panel textarea {
+          width: 100%;
+          min-height: 70px;
+          padding: 10px;
+          border: 1px solid #ddd;
+          border-radius: 8px;
+          font-family: inherit;
+          margin-bottom: 8px;
+        }
+
+        .clipboard-content {
+          margin-top: 10px;
+          color: #666;
+          font-size: 0.85em;
+        }
+
+        .clipboard-content pre {
+          background: white;
+          padding: 10px;
+          border-radius: 8px;
+          white-space: pre-wrap;
+          word-break: break-word;
+          max-height: 200px;
+          overflow-y: auto;
+          color: #333;
+        }
+
+        .clipboard-content img {
+          max-width: 100%;
+          max-height: 200px;
+          border-radius: 8px;
+        }
+
+        .screenshot-gallery {
+          margin-top: 15px;
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+          gap: 10px;
+        }
+
+        .screenshot-item {
+          background: #f8f9fa;
+          border-radius: 8px;
+          padding: 8px;
+          font-size: 0.8em;
+          color: #666;
+          text-align: center;
+        }
+
+        .screenshot-item img {
+          width: 100%;
+          border-radius: 6px;
+          display: block;
+          margin-bottom: 5px;
+        }
+
         .files-container {
           margin-top: 20px;
           background: #f8f9fa;
@@ -367,6 +1314,57 @@ app.get('/', (req, res) => {
           gap: 10px;
         }
 
+        .toolbar-btn {
+          background: white;
+          color: #667eea;
+          border: 1px solid #667eea;
+          padding: 5px 12px;
+          border-radius: 15px;
+          font-size: 0.85em;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .toolbar-btn:hover {
+          background: #667eea;
+          color: white;
+        }
+
+        .icon-btn {
+          background: none;
+          border: none;
+          font-size: 1.1em;
+          cursor: pointer;
+          padding: 4px 6px;
+          border-radius: 5px;
+        }
+
+        .icon-btn:hover {
+          background: #e9ecef;
+        }
+
+        .select-box {
+          display: none;
+          width: 18px;
+          height: 18px;
+          cursor: pointer;
+        }
+
+        .selection-actions {
+          display: none;
+          align-items: center;
+          gap: 8px;
+          margin-top: 10px;
+        }
+
+        .files-container.selecting .select-box {
+          display: inline-block;
+        }
+
+        .files-container.selecting .selection-actions {
+          display: flex;
+        }
+
         .file-item {
           background: white;
           padding: 15px 20px;
@@ -589,21 +1587,46 @@ app.get('/', (req, res) => {
             return;
           }
 
-          // Save current file browser state before re-rendering
+          // Save current file browser state and mirror settings before re-rendering
           const savedStates = {};
+          const savedMirrorForms = {};
+          const savedClipboards = {};
+          const savedGalleries = {};
           data.devices.forEach(device => {
             const filesDiv = document.getElementById(\`files-\${device.id}\`);
             if (filesDiv) {
               savedStates[device.id] = {
                 display: filesDiv.style.display,
+                className: filesDiv.className,
                 innerHTML: filesDiv.innerHTML
               };
             }
+            if (document.getElementById(\`mirror-\${device.id}\`)) {
+              savedMirrorForms[device.id] = readMirrorForm(device.id);
+            }
+            const galleryDiv = document.getElementById(\`gallery-\${device.id}\`);
+            if (galleryDiv) {
+              savedGalleries[device.id] = { display: galleryDiv.style.display, innerHTML: galleryDiv.innerHTML };
+            }
+            const clipboardDiv = document.getElementById(\`clipboard-\${device.id}\`);
+            if (clipboardDiv) {
+              savedClipboards[device.id] = {
+                display: clipboardDiv.style.display,
+                text: document.getElementById(\`clipboard-text-\${device.id}\`)?.value || '',
+                content: document.getElementById(\`clipboard-content-\${device.id}\`)?.innerHTML || ''
+              };
+            }
           });
 
           devicesDiv.innerHTML = data.devices.map(device => {
-            const statusClass = device.status === 'online' ? 'status-online' : 'status-offline';
-            const statusText = device.status === 'online' ? '🟢 Online' : '🔴 Offline';
+            const statusClass = {
+              online: 'status-online',
+              reconnecting: 'status-reconnecting'
+            }[device.status] || 'status-offline';
+            const statusText = {
+              online: '🟢 Online',
+              reconnecting: '🟡 Reconnecting'
+            }[device.status] || '🔴 Offline';
 
             return \`
               <div class="device-card">
@@ -623,17 +1646,68 @@ app.get('/', (req, res) => {
                 <button class="browse-btn" onclick="browseDevice('\${device.id}')">
                   📂 Browse Files
                 </button>
+                <div id="mirror-\${device.id}" class="mirror-controls">
+                  <select id="mirror-quality-\${device.id}" title="Quality">
+                    \${(device.mirrorQualities || ['high', 'medium', 'low']).map(q => \`<option value="\${q}">\${q}</option>\`).join('')}
+                  </select>
+                  <select id="mirror-resolution-\${device.id}" title="Resolution">
+                    <option value="">Native resolution</option>
+                    <option value="1920x1080">1920x1080</option>
+                    <option value="1280x720">1280x720</option>
+                    <option value="854x480">854x480</option>
+                  </select>
+                  <input id="mirror-bitrate-\${device.id}" type="number" min="100" placeholder="Bitrate (kbps)">
+                  <input id="mirror-fps-\${device.id}" type="number" min="1" max="120" placeholder="FPS">
+                  <button class="mirror-btn" onclick="startMirror('\${device.id}')">▶️ Start Mirroring</button>
+                  <button class="mirror-btn" onclick="updateMirror('\${device.id}')">🔧 Apply</button>
+                  <button class="mirror-btn" onclick="stopMirror('\${device.id}')">⏹️ Stop</button>
+                  <a class="mirror-btn" href="/mirror-viewer.html?deviceId=\${encodeURIComponent(device.id)}" target="_blank" style="text-decoration: none;">📺 Watch</a>
+                  <div id="mirror-status-\${device.id}" class="mirror-status">\${formatMirrorStatus(device.mirroring)}</div>
+                  <button class="mirror-btn" onclick="toggleClipboard('\${device.id}')">📋 Clipboard</button>
+                  <button class="mirror-btn" onclick="takeScreenshot('\${device.id}')">📸 Screenshot</button>
+                  <button class="mirror-btn" onclick="toggleGallery('\${device.id}')">🖼️ Screenshots</button>
+                  <button class="mirror-btn" id="follow-\${device.id}" onclick="toggleFollow('\${device.id}')">\${subscribedDevices.has(device.id) ? '🔕 Unfollow' : '🔔 Follow'}</button>
+                </div>
+                <div id="gallery-\${device.id}" class="screenshot-gallery" style="display:none;"></div>
+                <div id="clipboard-\${device.id}" class="clipboard-panel" style="display:none;">
+                  \${device.clipboardSync ? \`
+                    <textarea id="clipboard-text-\${device.id}" placeholder="Text to put on the device's clipboard"></textarea>
+                    <div class="mirror-controls" style="margin-top: 0;">
+                      <button class="mirror-btn" onclick="pushClipboardText('\${device.id}')">📤 Send Text</button>
+                      <button class="mirror-btn" onclick="document.getElementById('clipboard-image-\${device.id}').click()">🖼️ Send Image</button>
+                      <input id="clipboard-image-\${device.id}" type="file" accept="image/png,image/jpeg,image/webp" style="display:none;" onchange="pushClipboardImage('\${device.id}', this)">
+                      <button class="mirror-btn" onclick="pullClipboard('\${device.id}')">📥 Read Device Clipboard</button>
+                    </div>
+                    <div id="clipboard-content-\${device.id}" class="clipboard-content"></div>
+                  \` : '<p class="clipboard-content">🔒 Clipboard sync is turned off on this device. Enable it in the app to use the clipboard here.</p>'}
+                </div>
                 <div id="files-\${device.id}" class="files-container" style="display:none;"></div>
               </div>
             \`;
           }).join('');
 
-          // Restore file browser state after re-rendering
+          // Restore file browser state, mirror settings and clipboard panels after re-rendering
           data.devices.forEach(device => {
+            if (savedMirrorForms[device.id]) {
+              writeMirrorForm(device.id, savedMirrorForms[device.id]);
+            }
+            if (savedGalleries[device.id]) {
+              const galleryDiv = document.getElementById(\`gallery-\${device.id}\`);
+              galleryDiv.style.display = savedGalleries[device.id].display;
+              galleryDiv.innerHTML = savedGalleries[device.id].innerHTML;
+            }
+            if (savedClipboards[device.id]) {
+              document.getElementById(\`clipboard-\${device.id}\`).style.display = savedClipboards[device.id].display;
+              const textArea = document.getElementById(\`clipboard-text-\${device.id}\`);
+              const contentDiv = document.getElementById(\`clipboard-content-\${device.id}\`);
+              if (textArea) textArea.value = savedClipboards[device.id].text;
+              if (contentDiv) contentDiv.innerHTML = savedClipboards[device.id].content;
+            }
             if (savedStates[device.id]) {
               const filesDiv = document.getElementById(\`files-\${device.id}\`);
               if (filesDiv) {
                 filesDiv.style.display = savedStates[device.id].display;
+                filesDiv.className = savedStates[device.id].className;
                 filesDiv.innerHTML = savedStates[device.id].innerHTML;
               }
             }
@@ -682,8 +1756,21 @@ app.get('/', (req, res) => {
                       <option value="name-asc" \${sortBy === 'name-asc' ? 'selected' : ''}>Name (A-Z)</option>
                       <option value="name-desc" \${sortBy === 'name-desc' ? 'selected' : ''}>Name (Z-A)</option>
                     </select>
+                    <button class="toolbar-btn" onclick="toggleSelectMode('\${deviceId}')">☑️ Select</button>
+                    <button class="toolbar-btn" onclick="downloadZip('\${deviceId}', { path: '\${path}' })">📦 ZIP Folder</button>
+                    <button class="toolbar-btn" onclick="createFolder('\${deviceId}', '\${path}')">➕ New Folder</button>
+                    <label class="toolbar-btn">
+                      ⬆️ Upload
+                      <input type="file" style="display: none;" onchange="uploadToDevice('\${deviceId}', '\${path}', this)">
+                    </label>
                   </div>
                 </div>
+                <div id="transfer-status-\${deviceId}" style="font-size: 0.85em; color: #667eea; margin-top: 5px;"></div>
+                <div class="selection-actions">
+                  <span id="selection-count-\${deviceId}">\${selectedItems[deviceId]?.size || 0} selected</span>
+                  <button class="toolbar-btn" onclick="downloadSelected('\${deviceId}')">📦 Download Selected as ZIP</button>
+                  <button class="toolbar-btn" onclick="clearSelection('\${deviceId}')">✖ Clear</button>
+                </div>
               </div>\`;
             }
 
@@ -700,12 +1787,17 @@ app.get('/', (req, res) => {
                   return \`
                     <div class="file-item" onclick="browseDevice('\${deviceId}', '\${newPath}')">
                       <div class="file-info">
+                        <input type="checkbox" class="select-box" \${isSelected(deviceId, newPath) ? 'checked' : ''} onclick="toggleSelection(event, '\${deviceId}', '\${newPath}', 'directory', this)">
                         <div class="file-icon">📁</div>
                         <div class="file-details">
                           <div class="file-name">\${file.name}</div>
                           <div class="file-size">Folder</div>
                         </div>
                       </div>
+                      <div>
+                        <button class="icon-btn" title="Rename" onclick="renameItem(event, '\${deviceId}', '\${newPath}', '\${path}')">✏️</button>
+                        <button class="icon-btn" title="Delete" onclick="deleteItem(event, '\${deviceId}', '\${newPath}', '\${path}', true)">🗑️</button>
+                      </div>
                     </div>
                   \`;
                 } else {
@@ -713,19 +1805,28 @@ app.get('/', (req, res) => {
                   const filePath = file.path || (path === '/' ? \`/\${file.name}\` : \`\${path}/\${file.name}\`);
                   const fileSize = formatFileSize(file.size);
                   const fileIcon = getFileIcon(file.name);
+                  const isMedia = fileIcon === '🎥' || fileIcon === '🎵';
 
                   return \`
                     <div class="file-item">
                       <div class="file-info">
+                        <input type="checkbox" class="select-box" \${isSelected(deviceId, filePath) ? 'checked' : ''} onclick="toggleSelection(event, '\${deviceId}', '\${filePath}', 'file', this)">
                         <div class="file-icon">\${fileIcon}</div>
                         <div class="file-details">
                           <div class="file-name">\${file.name}</div>
                           <div class="file-size">\${fileSize}</div>
                         </div>
                       </div>
-                      <button class="download-btn" onclick="downloadFile('\${deviceId}', '\${filePath}', '\${file.name}'); event.stopPropagation();">
-                        ⬇️ Download
-                      </button>
+                      <div>
+                        \${isMedia ? \`<button class="download-btn" onclick="playFile('\${deviceId}', '\${filePath}', '\${file.name}'); event.stopPropagation();">
+                          ▶️ Play
+                        </button>\` : ''}
+                        <button class="download-btn" onclick="downloadFile('\${deviceId}', '\${filePath}', '\${file.name}'); event.stopPropagation();">
+                          ⬇️ Download
+                        </button>
+                        <button class="icon-btn" title="Rename" onclick="renameItem(event, '\${deviceId}', '\${filePath}', '\${path}')">✏️</button>
+                        <button class="icon-btn" title="Delete" onclick="deleteItem(event, '\${deviceId}', '\${filePath}', '\${path}', false)">🗑️</button>
+                      </div>
                     </div>
                   \`;
                 }
@@ -821,78 +1922,574 @@ app.get('/', (req, res) => {
           window.location.href = \`/api/ftp/download?deviceId=\${deviceId}&path=\${encodeURIComponent(remotePath)}&filename=\${encodeURIComponent(filename)}\`;
         }
 
-        // Format upload/download speed
-        function formatSpeed(bytesPerSecond) {
-          if (bytesPerSecond < 1024) return bytesPerSecond.toFixed(0) + ' B/s';
-          if (bytesPerSecond < 1024 * 1024) return (bytesPerSecond / 1024).toFixed(1) + ' KB/s';
-          return (bytesPerSecond / (1024 * 1024)).toFixed(1) + ' MB/s';
-        }
+        // Multi-select state: deviceId -> Map(path -> 'file' | 'directory')
+        const selectedItems = {};
 
-        // Initialize socket.io connection
-        socket = io();
+        function isSelected(deviceId, itemPath) {
+          return Boolean(selectedItems[deviceId] && selectedItems[deviceId].has(itemPath));
+        }
 
-        // Listen for TUS upload progress
-        socket.on('ftp-upload-progress', (data) => {
-          const { uploadId, bytesUploaded, totalBytes, percentage } = data;
+        function toggleSelectMode(deviceId) {
+          document.getElementById(\`files-\${deviceId}\`).classList.toggle('selecting');
+        }
 
-          // Calculate upload speed
-          const now = Date.now();
-          let speedText = '';
+        function toggleSelection(event, deviceId, itemPath, type, checkbox) {
+          event.stopPropagation();
+          const selection = selectedItems[deviceId] || (selectedItems[deviceId] = new Map());
+          if (checkbox.checked) {
+            selection.set(itemPath, type);
+          } else {
+            selection.delete(itemPath);
+          }
+          // Mirror into the attribute so the periodic device list refresh keeps it
+          checkbox.toggleAttribute('checked', checkbox.checked);
+          updateSelectionCount(deviceId);
+        }
 
-          if (lastUploadTime && lastUploadBytes > 0) {
-            const timeDiff = (now - lastUploadTime) / 1000; // seconds
-            const bytesDiff = bytesUploaded - lastUploadBytes;
-            const speed = bytesDiff / timeDiff; // bytes per second
-            speedText = formatSpeed(speed);
+        function updateSelectionCount(deviceId) {
+          const countSpan = document.getElementById(\`selection-count-\${deviceId}\`);
+          if (countSpan) {
+            countSpan.textContent = \`\${selectedItems[deviceId]?.size || 0} selected\`;
           }
+        }
 
-          lastUploadTime = now;
-          lastUploadBytes = bytesUploaded;
+        function clearSelection(deviceId) {
+          selectedItems[deviceId] = new Map();
+          document.querySelectorAll(\`#files-\${deviceId} .select-box\`).forEach(box => {
+            box.checked = false;
+            box.removeAttribute('checked');
+          });
+          updateSelectionCount(deviceId);
+        }
 
-          // Show progress in a modal or notification area
-          showUploadProgress(uploadId, percentage, bytesUploaded, totalBytes, speedText);
-        });
+        function downloadSelected(deviceId) {
+          const selection = selectedItems[deviceId];
+          if (!selection || selection.size === 0) {
+            alert('Select at least one file or folder first');
+            return;
+          }
 
-        // Listen for upload completion
-        socket.on('ftp-upload-complete', (data) => {
-          const { uploadId, downloadUrl } = data;
-          showUploadComplete(downloadUrl);
-        });
+          const paths = [];
+          const directories = [];
+          selection.forEach((type, itemPath) => {
+            (type === 'directory' ? directories : paths).push(itemPath);
+          });
+          downloadZip(deviceId, { paths, directories });
+        }
 
-        // Listen for upload errors
-        socket.on('ftp-upload-error', (data) => {
-          const { uploadId, error } = data;
-          showUploadError(error);
-        });
+        // Prepare a ZIP on the server, then let the browser stream it
+        async function downloadZip(deviceId, selection) {
+          try {
+            const res = await fetch('/api/ftp/zip', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ deviceId, ...selection })
+            });
+            const data = await res.json();
 
-        function showUploadProgress(uploadId, percentage, bytesUploaded, totalBytes, speedText) {
-          // Create or update progress display
-          let progressDiv = document.getElementById('upload-progress');
-          if (!progressDiv) {
-            progressDiv = document.createElement('div');
-            progressDiv.id = 'upload-progress';
-            progressDiv.style.cssText = 'position: fixed; top: 20px; right: 20px; background: white; padding: 20px; border-radius: 10px; box-shadow: 0 5px 20px rgba(0,0,0,0.3); z-index: 1000; min-width: 300px;';
-            document.body.appendChild(progressDiv);
+            if (data.error) {
+              alert(\`ZIP download failed: \${data.error}\`);
+              return;
+            }
+            window.location.href = data.downloadUrl;
+          } catch (err) {
+            console.error('❌ Error preparing ZIP:', err);
+            alert(\`ZIP download failed: \${err.message}\`);
           }
+        }
 
-          progressDiv.innerHTML = \`
-            <h3 style="color: #667eea; margin-bottom: 10px;">📤 Uploading to VPS</h3>
-            <div style="background: #f0f0f0; border-radius: 5px; height: 20px; overflow: hidden; margin-bottom: 10px;">
-              <div style="background: linear-gradient(90deg, #667eea, #764ba2); height: 100%; width: \${percentage}%; transition: width 0.3s;"></div>
-            </div>
-            <p style="color: #333; font-size: 1.1em; font-weight: bold; margin-bottom: 5px;">\${percentage}%</p>
-            <p style="color: #666; font-size: 0.9em;">\${formatFileSize(bytesUploaded)} / \${formatFileSize(totalBytes)}</p>
-            \${speedText ? \`<p style="color: #28a745; font-size: 0.9em; margin-top: 5px;">⚡ \${speedText}</p>\` : ''}
-          \`;
+        // Mirroring controls: form values map onto POST/PATCH /api/devices/:id/mirror
+        const MIRROR_FIELDS = ['quality', 'resolution', 'bitrate', 'fps'];
+
+        function readMirrorForm(deviceId) {
+          const values = {};
+          MIRROR_FIELDS.forEach(field => {
+            const input = document.getElementById(\`mirror-\${field}-\${deviceId}\`);
+            if (input && input.value !== '') values[field] = input.value;
+          });
+          return values;
         }
 
-        function showUploadComplete(downloadUrl) {
-          const progressDiv = document.getElementById('upload-progress');
-          if (progressDiv) {
-            progressDiv.innerHTML = \`
-              <h3 style="color: #28a745; margin-bottom: 10px;">✅ Upload Complete!</h3>
-              <p style="color: #666; margin-bottom: 15px;">File is ready for download</p>
+        function writeMirrorForm(deviceId, values) {
+          MIRROR_FIELDS.forEach(field => {
+            const input = document.getElementById(\`mirror-\${field}-\${deviceId}\`);
+            if (input && values[field] !== undefined) input.value = values[field];
+          });
+        }
+
+        function formatMirrorStatus(mirroring) {
+          if (!mirroring || !mirroring.sessionId) return '🖥️ Not mirroring';
+          const { state, options = {}, pendingOptions, lastAck, error, endReason } = mirroring;
+          const parts = [\`🖥️ \${state}\${state === 'ended' && endReason ? \` (\${endReason})\` : ''}\`];
+          const settings = [
+            options.quality,
+            options.resolution && \`\${options.resolution.width}x\${options.resolution.height}\`,
+            options.bitrate && \`\${options.bitrate} kbps\`,
+            options.fps && \`\${options.fps} fps\`
+          ].filter(Boolean);
+          if (settings.length) parts.push(settings.join(', '));
+          if (pendingOptions) parts.push('⏳ change pending');
+          if (lastAck && !lastAck.error) parts.push(\`✅ \${lastAck.command} acknowledged\`);
+          if (error) parts.push(\`❌ \${error}\`);
+          return parts.join(' · ');
+        }
+
+        function showMirrorStatus(deviceId, mirroring) {
+          const statusDiv = document.getElementById(\`mirror-status-\${deviceId}\`);
+          if (statusDiv) statusDiv.textContent = formatMirrorStatus(mirroring);
+        }
+
+        // Send a mirroring control request and show the device's updated status
+        async function sendMirrorRequest(deviceId, method, body) {
+          try {
+            const res = await deviceFetch(deviceId, \`/api/devices/\${encodeURIComponent(deviceId)}/mirror\`, {
+              method,
+              headers: { 'Content-Type': 'application/json' },
+              body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await res.json();
+
+            if (data.error) {
+              alert(\`Mirroring failed: \${data.error}\`);
+              return;
+            }
+            showMirrorStatus(deviceId, data.mirroring);
+          } catch (err) {
+            console.error('❌ Mirroring request error:', err);
+            alert(\`Mirroring failed: \${err.message}\`);
+          }
+        }
+
+        function startMirror(deviceId) {
+          subscribeToDevice(deviceId);
+          sendMirrorRequest(deviceId, 'POST', readMirrorForm(deviceId));
+        }
+
+        function updateMirror(deviceId) {
+          sendMirrorRequest(deviceId, 'PATCH', readMirrorForm(deviceId));
+        }
+
+        function stopMirror(deviceId) {
+          sendMirrorRequest(deviceId, 'DELETE');
+        }
+
+        // Clipboard panel: text/images go through /api/devices/:id/clipboard
+        function toggleClipboard(deviceId) {
+          const panel = document.getElementById(\`clipboard-\${deviceId}\`);
+          const show = panel.style.display === 'none';
+          panel.style.display = show ? 'block' : 'none';
+          // Clipboard changes on the device arrive through the subscription
+          if (show) subscribeToDevice(deviceId);
+        }
+
+        function showClipboardContent(deviceId, clip, label) {
+          const contentDiv = document.getElementById(\`clipboard-content-\${deviceId}\`);
+          if (!contentDiv) return;
+          contentDiv.innerHTML = '';
+
+          const caption = document.createElement('p');
+          caption.textContent = clip ? \`\${label} (\${clip.mimeType}, \${formatFileSize(clip.size)})\` : \`\${label}: clipboard is empty\`;
+          contentDiv.appendChild(caption);
+          if (!clip) return;
+
+          if (clip.mimeType === 'text/plain') {
+            const pre = document.createElement('pre');
+            pre.textContent = clip.data;
+            contentDiv.appendChild(pre);
+          } else {
+            const img = document.createElement('img');
+            img.src = \`data:\${clip.mimeType};base64,\${clip.data}\`;
+            contentDiv.appendChild(img);
+          }
+        }
+
+        async function sendClipboard(deviceId, body) {
+          try {
+            const res = await deviceFetch(deviceId, \`/api/devices/\${encodeURIComponent(deviceId)}/clipboard\`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(body)
+            });
+            const data = await res.json();
+
+            if (data.error) {
+              alert(\`Clipboard failed: \${data.error}\`);
+              return false;
+            }
+            return true;
+          } catch (err) {
+            console.error('❌ Clipboard push error:', err);
+            alert(\`Clipboard failed: \${err.message}\`);
+            return false;
+          }
+        }
+
+        async function pushClipboardText(deviceId) {
+          const textArea = document.getElementById(\`clipboard-text-\${deviceId}\`);
+          if (!textArea.value) return;
+          if (await sendClipboard(deviceId, { mimeType: 'text/plain', data: textArea.value })) {
+            textArea.value = '';
+          }
+        }
+
+        function pushClipboardImage(deviceId, input) {
+          const file = input.files[0];
+          input.value = '';
+          if (!file) return;
+
+          const reader = new FileReader();
+          reader.onload = () => {
+            // data:image/png;base64,XXXX -> XXXX
+            sendClipboard(deviceId, { mimeType: file.type, data: reader.result.split(',')[1] });
+          };
+          reader.readAsDataURL(file);
+        }
+
+        async function pullClipboard(deviceId) {
+          try {
+            const res = await deviceFetch(deviceId, \`/api/devices/\${encodeURIComponent(deviceId)}/clipboard\`);
+            const data = await res.json();
+
+            if (data.error) {
+              alert(\`Clipboard failed: \${data.error}\`);
+              return;
+            }
+            showClipboardContent(deviceId, data.clipboard, '📥 Device clipboard');
+          } catch (err) {
+            console.error('❌ Clipboard pull error:', err);
+            alert(\`Clipboard failed: \${err.message}\`);
+          }
+        }
+
+        // Screenshots are stored with completed uploads; the gallery lists a device's captures
+        async function takeScreenshot(deviceId) {
+          try {
+            const res = await fetch(\`/api/devices/\${encodeURIComponent(deviceId)}/screenshot\`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ format: 'png' })
+            });
+            const data = await res.json();
+
+            if (data.error) {
+              alert(\`Screenshot failed: \${data.error}\`);
+              return;
+            }
+            document.getElementById(\`gallery-\${deviceId}\`).style.display = 'grid';
+            loadGallery(deviceId);
+          } catch (err) {
+            console.error('❌ Screenshot error:', err);
+            alert(\`Screenshot failed: \${err.message}\`);
+          }
+        }
+
+        function toggleGallery(deviceId) {
+          const gallery = document.getElementById(\`gallery-\${deviceId}\`);
+          const show = gallery.style.display === 'none';
+          gallery.style.display = show ? 'grid' : 'none';
+          if (show) {
+            subscribeToDevice(deviceId);
+            loadGallery(deviceId);
+          }
+        }
+
+        async function loadGallery(deviceId) {
+          const gallery = document.getElementById(\`gallery-\${deviceId}\`);
+          if (!gallery || gallery.style.display === 'none') return;
+
+          const res = await fetch(\`/api/devices/\${encodeURIComponent(deviceId)}/screenshots\`);
+          const data = await res.json();
+          if (data.screenshots.length === 0) {
+            gallery.innerHTML = '<p class="clipboard-content">No screenshots yet</p>';
+            return;
+          }
+          gallery.innerHTML = data.screenshots.map(shot => {
+            const meta = shot.metadata || {};
+            const size = meta.width && meta.height ? \`\${meta.width}x\${meta.height}\` : formatFileSize(shot.size);
+            return \`
+              <div class="screenshot-item">
+                <a href="\${shot.downloadUrl}?inline=true" target="_blank">
+                  <img src="\${shot.downloadUrl}?inline=true" alt="\${shot.filename}" loading="lazy">
+                </a>
+                <div>\${new Date(meta.capturedAt || shot.createdAt).toLocaleString()}</div>
+                <div>\${size} · <a href="\${shot.downloadUrl}">⬇️</a> · <a href="#" onclick="deleteScreenshot('\${deviceId}', '\${shot.id}'); return false;">🗑️</a></div>
+              </div>
+            \`;
+          }).join('');
+        }
+
+        async function deleteScreenshot(deviceId, fileId) {
+          if (!confirm('Delete this screenshot?')) return;
+          await fetch(\`/api/uploads/\${fileId}\`, { method: 'DELETE' });
+          loadGallery(deviceId);
+        }
+
+        // File management: POST a request and refresh the folder on success
+        async function runFileOperation(url, body, refreshDeviceId, refreshPath) {
+          try {
+            const res = await fetch(url, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(body)
+            });
+            const data = await res.json();
+
+            if (data.error) {
+              alert(\`Operation failed: \${data.error}\`);
+              return;
+            }
+            browseDevice(refreshDeviceId, refreshPath);
+          } catch (err) {
+            console.error('❌ File operation error:', err);
+            alert(\`Operation failed: \${err.message}\`);
+          }
+        }
+
+        function createFolder(deviceId, dirPath) {
+          const name = prompt('New folder name:');
+          if (!name) return;
+          const folderPath = dirPath === '/' ? \`/\${name}\` : \`\${dirPath}/\${name}\`;
+          runFileOperation('/api/ftp/mkdir', { deviceId, path: folderPath }, deviceId, dirPath);
+        }
+
+        function renameItem(event, deviceId, itemPath, dirPath) {
+          event.stopPropagation();
+          const currentName = itemPath.split('/').pop();
+          const newName = prompt('New name (or an absolute path to move it):', currentName);
+          if (!newName || newName === currentName) return;
+          const targetPath = newName.startsWith('/')
+            ? newName
+            : (dirPath === '/' ? \`/\${newName}\` : \`\${dirPath}/\${newName}\`);
+          runFileOperation('/api/ftp/rename', { deviceId, from: itemPath, to: targetPath }, deviceId, dirPath);
+        }
+
+        function deleteItem(event, deviceId, itemPath, dirPath, isDirectory) {
+          event.stopPropagation();
+          const message = isDirectory
+            ? \`Delete folder \${itemPath} and everything in it?\`
+            : \`Delete \${itemPath}?\`;
+          if (!confirm(message)) return;
+          runFileOperation('/api/ftp/delete', { deviceId, path: itemPath, recursive: isDirectory }, deviceId, dirPath);
+        }
+
+        // Stream a local file to the device (XHR for upload progress)
+        function uploadToDevice(deviceId, dirPath, input) {
+          const file = input.files[0];
+          input.value = '';
+          if (!file) return;
+
+          const targetPath = dirPath === '/' ? \`/\${file.name}\` : \`\${dirPath}/\${file.name}\`;
+          const statusDiv = document.getElementById(\`transfer-status-\${deviceId}\`);
+          const xhr = new XMLHttpRequest();
+          xhr.open('POST', \`/api/ftp/upload?deviceId=\${deviceId}&path=\${encodeURIComponent(targetPath)}\`);
+          xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+
+          xhr.upload.onprogress = (e) => {
+            if (e.lengthComputable && statusDiv) {
+              statusDiv.textContent = \`⬆️ Uploading \${file.name}: \${Math.round((e.loaded / e.total) * 100)}% (\${formatFileSize(e.loaded)} / \${formatFileSize(e.total)})\`;
+            }
+          };
+
+          xhr.onload = () => {
+            let data = {};
+            try { data = JSON.parse(xhr.responseText); } catch (e) { data = { error: xhr.statusText }; }
+            if (data.error) {
+              if (statusDiv) statusDiv.textContent = '';
+              alert(\`Upload failed: \${data.error}\`);
+              return;
+            }
+            browseDevice(deviceId, dirPath);
+          };
+
+          xhr.onerror = () => {
+            if (statusDiv) statusDiv.textContent = '';
+            alert('Upload failed: network error');
+          };
+
+          xhr.send(file);
+        }
+
+        // Open media inline; the browser seeks with Range requests
+        function playFile(deviceId, remotePath, filename) {
+          window.open(\`/api/ftp/download?deviceId=\${deviceId}&path=\${encodeURIComponent(remotePath)}&filename=\${encodeURIComponent(filename)}&inline=true\`, '_blank');
+        }
+
+        // Format upload/download speed
+        function formatSpeed(bytesPerSecond) {
+          if (bytesPerSecond < 1024) return bytesPerSecond.toFixed(0) + ' B/s';
+          if (bytesPerSecond < 1024 * 1024) return (bytesPerSecond / 1024).toFixed(1) + ' KB/s';
+          return (bytesPerSecond / (1024 * 1024)).toFixed(1) + ' MB/s';
+        }
+
+        // Initialize socket.io connection (CLIENT_TOKEN is asked for once and remembered)
+        socket = io('/client', {
+          auth: (cb) => cb({ token: localStorage.getItem('clientToken') })
+        });
+
+        socket.on('connect_error', (err) => {
+          if (err.message !== 'Unauthorized') return;
+          const token = prompt('Client token required to connect:');
+          if (token) {
+            localStorage.setItem('clientToken', token);
+            socket.connect();
+          }
+        });
+
+        // Upload progress, mirror status and clipboard updates are only delivered
+        // to a device's subscribers. Following a device is an explicit action and
+        // may need the device's access token (asked for once and remembered).
+        const subscribedDevices = new Set();
+
+        function deviceAccessToken(deviceId) {
+          return localStorage.getItem(\`deviceAccess:\${deviceId}\`);
+        }
+
+        // REST calls for a device (mirroring, clipboard) send its access token;
+        // a 403 asks for the token once and retries
+        async function deviceFetch(deviceId, url, options = {}) {
+          const token = deviceAccessToken(deviceId);
+          const headers = token ? { ...options.headers, Authorization: \`Bearer \${token}\` } : options.headers;
+          const res = await fetch(url, { ...options, headers });
+          if (res.status === 403 && !options.retried) {
+            const newToken = prompt(\`Access token for device \${deviceId}:\`);
+            if (newToken) {
+              localStorage.setItem(\`deviceAccess:\${deviceId}\`, newToken);
+              return deviceFetch(deviceId, url, { ...options, retried: true });
+            }
+          }
+          return res;
+        }
+
+        function subscribeToDevice(deviceId) {
+          if (subscribedDevices.has(deviceId)) return;
+          socket.emit('subscribe-device', { deviceId, accessToken: deviceAccessToken(deviceId) }, (response) => {
+            if (response.code === 'forbidden') {
+              const token = prompt(\`Access token for device \${deviceId}:\`);
+              if (token) {
+                localStorage.setItem(\`deviceAccess:\${deviceId}\`, token);
+                subscribeToDevice(deviceId);
+              }
+              return;
+            }
+            if (response.success) {
+              subscribedDevices.add(deviceId);
+              updateFollowButton(deviceId);
+            }
+          });
+        }
+
+        function unsubscribeFromDevice(deviceId) {
+          subscribedDevices.delete(deviceId);
+          socket.emit('unsubscribe-device', { deviceId });
+          updateFollowButton(deviceId);
+        }
+
+        function toggleFollow(deviceId) {
+          if (subscribedDevices.has(deviceId)) {
+            unsubscribeFromDevice(deviceId);
+          } else {
+            subscribeToDevice(deviceId);
+          }
+        }
+
+        function updateFollowButton(deviceId) {
+          const button = document.getElementById(\`follow-\${deviceId}\`);
+          if (button) button.textContent = subscribedDevices.has(deviceId) ? '🔕 Unfollow' : '🔔 Follow';
+        }
+
+        // Subscriptions are per connection: renew them after a reconnect
+        socket.on('connect', () => {
+          subscribedDevices.forEach(deviceId => {
+            socket.emit('subscribe-device', { deviceId, accessToken: deviceAccessToken(deviceId) }, (response) => {
+              if (!response.success) {
+                subscribedDevices.delete(deviceId);
+                updateFollowButton(deviceId);
+              }
+            });
+          });
+        });
+
+        // A screenshot was captured (e.g. from another dashboard)
+        socket.on('screenshot-captured', (data) => {
+          loadGallery(data.deviceId);
+        });
+
+        // Something was copied on a subscribed device
+        socket.on('clipboard-update', (data) => {
+          showClipboardContent(data.deviceId, data, '📋 Copied on device');
+        });
+
+        // Mirroring status changes (acks, session state) of subscribed devices
+        socket.on('mirror-status', (data) => {
+          showMirrorStatus(data.deviceId, data.mirroring);
+        });
+
+        // Listen for TUS upload progress
+        socket.on('ftp-upload-progress', (data) => {
+          const { uploadId, bytesUploaded, totalBytes, percentage } = data;
+
+          // Calculate upload speed
+          const now = Date.now();
+          let speedText = '';
+
+          if (lastUploadTime && lastUploadBytes > 0) {
+            const timeDiff = (now - lastUploadTime) / 1000; // seconds
+            const bytesDiff = bytesUploaded - lastUploadBytes;
+            const speed = bytesDiff / timeDiff; // bytes per second
+            speedText = formatSpeed(speed);
+          }
+
+          lastUploadTime = now;
+          lastUploadBytes = bytesUploaded;
+
+          // Show progress in a modal or notification area
+          showUploadProgress(uploadId, percentage, bytesUploaded, totalBytes, speedText);
+        });
+
+        // Listen for upload completion
+        socket.on('ftp-upload-complete', (data) => {
+          const { uploadId, downloadUrl, shareUrl } = data;
+          showUploadComplete(downloadUrl, shareUrl);
+        });
+
+        // Listen for upload errors
+        socket.on('ftp-upload-error', (data) => {
+          const { uploadId, error } = data;
+          showUploadError(error);
+        });
+
+        function showUploadProgress(uploadId, percentage, bytesUploaded, totalBytes, speedText) {
+          // Create or update progress display
+          let progressDiv = document.getElementById('upload-progress');
+          if (!progressDiv) {
+            progressDiv = document.createElement('div');
+            progressDiv.id = 'upload-progress';
+            progressDiv.style.cssText = 'position: fixed; top: 20px; right: 20px; background: white; padding: 20px; border-radius: 10px; box-shadow: 0 5px 20px rgba(0,0,0,0.3); z-index: 1000; min-width: 300px;';
+            document.body.appendChild(progressDiv);
+          }
+
+          progressDiv.innerHTML = \`
+            <h3 style="color: #667eea; margin-bottom: 10px;">📤 Uploading to VPS</h3>
+            <div style="background: #f0f0f0; border-radius: 5px; height: 20px; overflow: hidden; margin-bottom: 10px;">
+              <div style="background: linear-gradient(90deg, #667eea, #764ba2); height: 100%; width: \${percentage}%; transition: width 0.3s;"></div>
+            </div>
+            <p style="color: #333; font-size: 1.1em; font-weight: bold; margin-bottom: 5px;">\${percentage}%</p>
+            <p style="color: #666; font-size: 0.9em;">\${formatFileSize(bytesUploaded)} / \${formatFileSize(totalBytes)}</p>
+            \${speedText ? \`<p style="color: #28a745; font-size: 0.9em; margin-top: 5px;">⚡ \${speedText}</p>\` : ''}
+          \`;
+        }
+
+        function showUploadComplete(downloadUrl, shareUrl) {
+          const progressDiv = document.getElementById('upload-progress');
+          if (progressDiv) {
+            progressDiv.innerHTML = \`
+              <h3 style="color: #28a745; margin-bottom: 10px;">✅ Upload Complete!</h3>
+              <p style="color: #666; margin-bottom: 15px;">File is ready for download</p>
               <a href="\${downloadUrl}" target="_blank" style="display: inline-block; background: linear-gradient(90deg, #667eea, #764ba2); color: white; padding: 10px 20px; border-radius: 5px; text-decoration: none; font-weight: bold;">⬇️ Download File</a>
+              \${shareUrl ? \`
+                <p style="color: #666; font-size: 0.9em; margin: 15px 0 5px;">🔗 Share link:</p>
+                <input type="text" readonly value="\${shareUrl}" onclick="this.select()" style="width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 5px; font-size: 0.85em;">
+              \` : ''}
               <button onclick="document.getElementById('upload-progress').remove()" style="display: block; margin-top: 10px; background: #f0f0f0; border: none; padding: 8px 15px; border-radius: 5px; cursor: pointer; width: 100%;">Close</button>
             \`;
           }
@@ -938,7 +2535,8 @@ app.get('/health', (req, res) => {
     stats: {
       devices: devices.size,
       monitoredApps: monitoredApps.size,
-      pendingRequests: pendingRequests.size
+      pendingRequests: pendingRequests.size,
+      sessions: sessions.size
     },
     timestamp: new Date().toISOString()
   });
@@ -950,19 +2548,30 @@ app.get('/api/devices', (req, res) => {
     name: d.name,
     type: d.type,
     status: d.status,
-    ipAddress: d.ipAddress
+    ipAddress: d.ipAddress,
+    protocolVersion: d.protocolVersion || null,
+    capabilities: d.capabilities || null,
+    mirrorQualities: d.mirrorQualities || null,
+    mirroring: d.mirroring || null,
+    clipboardSync: Boolean(d.clipboardSync)
   }));
   res.json({ devices: deviceList });
 });
 
 // HTTP endpoint for FTP-only device registration (doesn't interfere with WebSocket screen mirroring)
 app.post('/api/ftp/register', (req, res) => {
-  const { deviceId, deviceName, ipAddress } = req.body;
+  const { deviceId, deviceName, ipAddress, deviceSecret, pairingCode } = req.body;
 
   if (!deviceId || !ipAddress) {
     return res.status(400).json({ error: 'deviceId and ipAddress are required' });
   }
 
+  const auth = authenticateDevice({ deviceId, deviceSecret, pairingCode });
+  if (!auth.ok) {
+    console.warn(`🔒 Rejected FTP registration for ${deviceId}: ${auth.error}`);
+    return res.status(401).json({ error: auth.error });
+  }
+
   console.log(`📱 FTP Registration: ${deviceId} (${deviceName || 'Unknown'}) at ${ipAddress}`);
 
   // Store or update device info
@@ -982,9 +2591,76 @@ app.post('/api/ftp/register', (req, res) => {
   // Broadcast updated device list
   broadcastDeviceList();
 
+  res.json({
+    success: true,
+    deviceId,
+    ...(auth.deviceSecret && { deviceSecret: auth.deviceSecret })
+  });
+});
+
+// ============================================
+// DEVICE ENROLLMENT ADMIN ENDPOINTS
+// ============================================
+
+// Issue a one-time pairing code (optionally bound to a single deviceId)
+app.post('/api/admin/pairing-codes', requireAdmin, (req, res) => {
+  const { deviceId } = req.body || {};
+  const pairing = createPairingCode(deviceId || null);
+
+  console.log(`🔐 Pairing code issued${deviceId ? ` for ${deviceId}` : ''}, expires ${new Date(pairing.expiresAt).toISOString()}`);
+
+  res.json({
+    code: pairing.code,
+    deviceId: pairing.deviceId,
+    expiresAt: new Date(pairing.expiresAt).toISOString()
+  });
+});
+
+// List enrolled devices
+app.get('/api/admin/enrollments', requireAdmin, (req, res) => {
+  res.json({ enrollments: listEnrollments() });
+});
+
+// Revoke a device token and drop its live connection
+app.delete('/api/admin/devices/:deviceId/token', requireAdmin, (req, res) => {
+  const { deviceId } = req.params;
+
+  if (!revokeDevice(deviceId)) {
+    return res.status(404).json({ error: 'Device not enrolled' });
+  }
+
+  const device = devices.get(deviceId);
+  if (device) {
+    const deviceSocket = device.socketId && getSocket(device.socketId);
+    if (deviceSocket) {
+      deviceSocket.emit('registration_error', { deviceId, error: 'Device token revoked' });
+      deviceSocket.deviceId = null;
+      deviceSocket.disconnect(true);
+    }
+    resumeDeviceConnection(deviceId);
+    failPendingRequestsForDevice(deviceId, 'Device token revoked');
+    devices.delete(deviceId);
+    broadcastDeviceList();
+  }
+  revokeClientAccess(deviceId);
+
   res.json({ success: true, deviceId });
 });
 
+// Issue (or rotate) the token clients need to subscribe to a device
+app.post('/api/admin/devices/:deviceId/access-token', requireAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const accessToken = issueAccessToken(deviceId);
+  if (!accessToken) {
+    return res.status(404).json({ error: 'Device not enrolled' });
+  }
+
+  // Clients authorized with the previous token have to present the new one
+  revokeClientAccess(deviceId);
+  console.log(`🔐 Client access token issued for ${deviceId}`);
+  res.json({ deviceId, accessToken });
+});
+
 app.get('/api/ftp/browse', async (req, res) => {
   const {
     deviceId,
@@ -1011,82 +2687,85 @@ app.get('/api/ftp/browse', async (req, res) => {
   }
 
   // Find device
-  const device = devices.get(deviceId);
+  const device = getConnectedDevice(deviceId, res, 'ftp-list-request');
   if (!device) {
-    return res.status(404).json({ error: 'Device not found or offline' });
-  }
-
-  if (!device.socketId) {
-    return res.status(400).json({ error: 'Device not connected via WebSocket' });
+    return;
   }
 
   try {
-    // Generate unique request ID
-    const requestId = generateRequestId();
-    console.log(`📤 Sending file list request to ${deviceId}: path=${path}, limit=${limitNum}, offset=${offsetNum}, sortBy=${sortBy}, requestId=${requestId}`);
-
-    // Create promise to wait for response
-    const responsePromise = new Promise((resolve, reject) => {
-      pendingRequests.set(requestId, { resolve, reject, timestamp: Date.now() });
-
-      // Set timeout (30 seconds)
-      setTimeout(() => {
-        if (pendingRequests.has(requestId)) {
-          pendingRequests.delete(requestId);
-          reject(new Error('Request timeout'));
-        }
-      }, 30000);
-    });
-
-    // Send request to device via WebSocket with pagination and sorting
-    io.to(device.socketId).emit('ftp-list-request', {
-      requestId,
+    const result = await requestFileList(device, {
       path,
       limit: limitNum,
       offset: offsetNum,
       sortBy
     });
-
-    // Wait for response
-    const result = await responsePromise;
     res.json(result);
   } catch (err) {
     console.error(`Error in /api/ftp/browse: ${err.message}`);
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
   }
 });
 
 app.get('/api/ftp/download', async (req, res) => {
-  const { deviceId, path, filename } = req.query;
+  const { deviceId, path, filename, inline } = req.query;
 
   if (!deviceId || !path) {
     return res.status(400).json({ error: 'deviceId and path are required' });
   }
 
   // Find device
-  const device = devices.get(deviceId);
+  const device = getConnectedDevice(deviceId, res, 'ftp-download-request');
   if (!device) {
-    return res.status(404).json({ error: 'Device not found or offline' });
-  }
-
-  if (!device.socketId) {
-    return res.status(400).json({ error: 'Device not connected via WebSocket' });
+    return;
   }
 
   try {
     // Generate unique request ID
     const requestId = generateRequestId();
-    console.log(`📤 Sending file download request to ${deviceId}: path=${path}, requestId=${requestId}`);
+    // Without ftp-download-range the device sends the whole file, so Range is ignored (as RFC 9110 permits)
+    const range = supportsDownloadRange(device) ? parseRangeHeader(req.get('range')) : null;
+    console.log(`📤 Sending file download request to ${deviceId}: path=${path}, range=${range ? `${range.start}-${range.end ?? ''}` : 'none'}, requestId=${requestId}`);
 
-    // Set response headers for streaming
-    res.setHeader('Content-Disposition', `attachment; filename="${filename || 'download'}"`);
-    res.setHeader('Content-Type', 'application/octet-stream');
-    res.setHeader('Transfer-Encoding', 'chunked');
+    // Set response headers for streaming. Status, length and range headers
+    // follow once the device reports the file size (see beginDownloadResponse).
+    const downloadName = filename || path.split('/').pop() || 'download';
+    res.setHeader('Content-Disposition', contentDisposition(inline === 'true' ? 'inline' : 'attachment', downloadName));
+    res.setHeader('Content-Type', inline === 'true' ? guessMimeType(downloadName) : 'application/octet-stream');
 
     // Store response object for streaming (no buffering)
     pendingRequests.set(requestId, {
       response: res,
-      startTime: Date.now()
+      deviceId,
+      path,
+      startTime: Date.now(),
+      bytesSent: 0,
+      owedCredits: 0, // credits held back until the response drains
+      range,
+      expectedBytes: null, // set when Content-Length is known
+      started: false,
+      hash: crypto.createHash(DOWNLOAD_CONFIG.CHECKSUM_ALGORITHM)
+    });
+
+    // Return credits once Node has flushed the buffered chunks to the browser
+    res.on('drain', () => {
+      const pendingRequest = pendingRequests.get(requestId);
+      if (pendingRequest && pendingRequest.owedCredits > 0) {
+        const credits = pendingRequest.owedCredits;
+        pendingRequest.owedCredits = 0;
+        grantDownloadCredits(requestId, credits);
+      }
+    });
+
+    // Browser aborted: stop the device instead of streaming into the void
+    const abortController = new AbortController();
+    res.on('close', () => {
+      const pendingRequest = pendingRequests.get(requestId);
+      if (pendingRequest && !res.writableFinished) {
+        console.log(`🛑 Download aborted by client for requestId=${requestId}`);
+        clearTimeout(pendingRequest.timeoutId);
+        pendingRequests.delete(requestId);
+        abortController.abort();
+      }
     });
 
     // Set timeout (60 minutes for 1GB+ files)
@@ -1097,7 +2776,8 @@ app.get('/api/ftp/download', async (req, res) => {
         if (!res.headersSent) {
           res.status(500).json({ error: 'Request timeout' });
         } else {
-          res.end();
+          // Abort so the client sees a failed transfer, not a short file
+          res.destroy();
         }
       }
     }, 3600000); // 60 minutes
@@ -1105,10 +2785,46 @@ app.get('/api/ftp/download', async (req, res) => {
     // Store timeout ID so we can clear it later
     pendingRequests.get(requestId).timeoutId = timeoutId;
 
-    // Send request to device via WebSocket
-    io.to(device.socketId).emit('ftp-download-request', {
+    // Send request to device via WebSocket. Devices that support binary
+    // transport send raw Buffers and only send while they hold credits;
+    // legacy devices keep sending base64 chunks and ignore credits.
+    // offset/length select a byte range (ftp-download-range devices only);
+    // devices report fileSize in their ack, via ftp-download-start or on
+    // the first chunk.
+    deviceRpc.call(deviceId, 'ftp-download-request', {
+      path,
+      offset: range ? range.start : 0,
+      length: range && range.end !== null ? range.end - range.start + 1 : null,
+      transport: 'binary',
+      chunkSize: DOWNLOAD_CONFIG.CHUNK_SIZE,
+      credits: DOWNLOAD_CONFIG.CREDIT_WINDOW,
+      checksum: DOWNLOAD_CONFIG.CHECKSUM_ALGORITHM
+    }, {
       requestId,
-      path
+      retries: 1,
+      signal: abortController.signal,
+      cancelEvent: 'ftp-download-cancel',
+      // The ack's fileSize must be applied before the first chunk is handled
+      onResult: ({ fileSize } = {}) => {
+        const pendingRequest = pendingRequests.get(requestId);
+        if (pendingRequest && fileSize !== undefined && fileSize !== null) {
+          beginDownloadResponse(requestId, pendingRequest, fileSize);
+        }
+      }
+    }).catch(err => {
+      // Device refused, timed out or went away before streaming anything
+      const pendingRequest = pendingRequests.get(requestId);
+      if (!pendingRequest) {
+        return;
+      }
+      console.error(`❌ Download request ${requestId} failed: ${err.message}`);
+      clearTimeout(pendingRequest.timeoutId);
+      pendingRequests.delete(requestId);
+      if (!res.headersSent) {
+        res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+      } else {
+        res.destroy();
+      }
     });
 
     // Response will be streamed as chunks arrive (no waiting)
@@ -1121,49 +2837,831 @@ app.get('/api/ftp/download', async (req, res) => {
   }
 });
 
-// VPS upload endpoint - request device to upload file to VPS
-app.post('/api/vps/upload', async (req, res) => {
-  const { deviceId, path } = req.body;
+// Relayed downloads whose device checksum did not match (most recent first)
+app.get('/api/downloads/checksum-failures', (req, res) => {
+  const { deviceId } = req.query;
+  res.json({
+    failures: checksumFailures
+      .filter(failure => !deviceId || failure.deviceId === deviceId)
+      .slice()
+      .reverse()
+  });
+});
 
-  if (!deviceId || !path) {
-    return res.status(400).json({ error: 'deviceId and path are required' });
+// ============================================
+// ZIP ARCHIVE DOWNLOADS
+// ============================================
+
+// Prepared ZIP downloads: zipId -> { deviceId, directories, paths, filename, createdAt }
+const zipJobs = new Map();
+
+const ZIP_CONFIG = {
+  JOB_TTL: 5 * 60 * 1000, // 5 minutes - prepared download must be started within this
+  MAX_ENTRIES: 5000,      // Limit files per archive
+  MAX_DEPTH: 10           // Limit directory recursion
+};
+
+// Prepare a ZIP download of a directory and/or a selection of files.
+// The browser then navigates to downloadUrl, which streams the archive.
+app.post('/api/ftp/zip', (req, res) => {
+  const { deviceId, path, paths = [], directories = [], filename } = req.body;
+
+  const dirList = path ? [path, ...directories] : directories;
+  if (!deviceId || !Array.isArray(paths) || !Array.isArray(dirList) || (paths.length === 0 && dirList.length === 0)) {
+    return res.status(400).json({ error: 'deviceId and a path, paths or directories are required' });
   }
 
-  // Find device
   const device = devices.get(deviceId);
   if (!device) {
     return res.status(404).json({ error: 'Device not found or offline' });
   }
 
+  if (filename !== undefined && typeof filename !== 'string') {
+    return res.status(400).json({ error: 'filename must be a string' });
+  }
+
+  // The id is the only credential for the download URL
+  const zipId = `zip_${crypto.randomBytes(16).toString('hex')}`;
+  const defaultName = dirList.length === 1 && paths.length === 0
+    ? (sanitizeEntryName(dirList[0].split('/').pop()) || 'root')
+    : 'files';
+  // A name, not a path: the last segment of the sanitized value
+  const baseName = ((filename && sanitizeEntryName(filename)) || defaultName).split('/').pop();
+
+  zipJobs.set(zipId, {
+    deviceId,
+    directories: dirList,
+    paths,
+    filename: baseName.replace(/\.zip$/i, '') + '.zip',
+    createdAt: Date.now()
+  });
+  setTimeout(() => zipJobs.delete(zipId), ZIP_CONFIG.JOB_TTL);
+
+  console.log(`📦 ZIP prepared: zipId=${zipId}, device=${deviceId}, directories=${dirList.length}, files=${paths.length}`);
+
+  res.json({ success: true, zipId, downloadUrl: `/api/ftp/zip/${zipId}` });
+});
+
+// Stream a prepared ZIP archive, fetching files from the device one at a time
+app.get('/api/ftp/zip/:zipId', async (req, res) => {
+  const job = zipJobs.get(req.params.zipId);
+  if (!job) {
+    return res.status(404).json({ error: 'ZIP download not found or expired' });
+  }
+  zipJobs.delete(req.params.zipId);
+
+  const device = devices.get(job.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found or offline' });
+  }
+
   if (!device.socketId) {
     return res.status(400).json({ error: 'Device not connected via WebSocket' });
   }
 
+  const unsupported = getUnsupportedReason(device, 'ftp-download-request');
+  if (unsupported) {
+    return res.status(501).json({ error: unsupported, code: 'unsupported' });
+  }
+
+  let entries;
+  let skipped;
   try {
-    // Generate unique request ID
-    const requestId = generateRequestId();
-    console.log(`📤 Sending VPS upload request to ${deviceId}: path=${path}, requestId=${requestId}`);
+    ({ entries, skipped } = await collectArchiveEntries(device, job));
+  } catch (err) {
+    console.error(`Error in /api/ftp/zip: ${err.message}`);
+    return res.status(err.statusCode || 500).json({ error: err.message });
+  }
+
+  if (entries.length === 0) {
+    return res.status(404).json({ error: 'No files to archive', skipped });
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition('attachment', job.filename));
+
+  if (skipped.length > 0) {
+    console.warn(`⚠️ ZIP ${req.params.zipId}: skipped ${skipped.length} path(s)`);
+  }
+  console.log(`📦 Streaming ZIP ${req.params.zipId}: ${entries.length} file(s)`);
+  await streamArchive(job.deviceId, entries, res, skipped);
+});
+
+// ============================================
+// REMOTE FILE MANAGEMENT
+// ============================================
+
+// Helper: look up a device that can take WebSocket requests (optionally a
+// specific request event), or answer with an error
+function getConnectedDevice(deviceId, res, eventName) {
+  const device = devices.get(deviceId);
+  if (!device) {
+    res.status(404).json({ error: 'Device not found or offline' });
+    return null;
+  }
+
+  if (device.status === 'reconnecting') {
+    res.setHeader('Retry-After', '5');
+    res.status(503).json({ error: 'Device is reconnecting, retry shortly' });
+    return null;
+  }
+
+  if (!device.socketId) {
+    res.status(400).json({ error: 'Device not connected via WebSocket' });
+    return null;
+  }
+
+  const unsupported = eventName && getUnsupportedReason(device, eventName);
+  if (unsupported) {
+    res.status(501).json({ error: unsupported, code: 'unsupported' });
+    return null;
+  }
+
+  return device;
+}
+
+// Delete a file or folder on the device
+app.post('/api/ftp/delete', async (req, res) => {
+  const { deviceId, path, recursive = false } = req.body;
+
+  if (!deviceId || !path) {
+    return res.status(400).json({ error: 'deviceId and path are required' });
+  }
+
+  const device = getConnectedDevice(deviceId, res, 'ftp-delete-request');
+  if (!device) {
+    return;
+  }
+
+  try {
+    console.log(`🗑️ Sending delete request to ${deviceId}: path=${path}, recursive=${recursive}`);
+    const result = await sendDeviceRequest(device, 'ftp-delete-request', { path, recursive: Boolean(recursive) });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error(`Error in /api/ftp/delete: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// Rename or move a file or folder on the device
+app.post('/api/ftp/rename', async (req, res) => {
+  const { deviceId, from, to, overwrite = false } = req.body;
+
+  if (!deviceId || !from || !to) {
+    return res.status(400).json({ error: 'deviceId, from and to are required' });
+  }
+
+  const device = getConnectedDevice(deviceId, res, 'ftp-rename-request');
+  if (!device) {
+    return;
+  }
+
+  try {
+    console.log(`✏️ Sending rename request to ${deviceId}: ${from} -> ${to}`);
+    const result = await sendDeviceRequest(device, 'ftp-rename-request', { from, to, overwrite: Boolean(overwrite) });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error(`Error in /api/ftp/rename: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// Create a folder on the device
+app.post('/api/ftp/mkdir', async (req, res) => {
+  const { deviceId, path } = req.body;
+
+  if (!deviceId || !path) {
+    return res.status(400).json({ error: 'deviceId and path are required' });
+  }
+
+  const device = getConnectedDevice(deviceId, res, 'ftp-mkdir-request');
+  if (!device) {
+    return;
+  }
+
+  try {
+    console.log(`📁 Sending mkdir request to ${deviceId}: path=${path}`);
+    const result = await sendDeviceRequest(device, 'ftp-mkdir-request', { path });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error(`Error in /api/ftp/mkdir: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// Push a file from the browser to a device path. The raw request body is
+// streamed to the device as binary ftp-push-chunk events; the device grants
+// credits (ftp-push-credit) so at most a few chunks are buffered here.
+// Chunks are chunkSize bytes (see pumpPush), whatever the body's packet sizes.
+app.post('/api/ftp/upload', (req, res) => {
+  const { deviceId, path, overwrite } = req.query;
+
+  if (!deviceId || !path) {
+    return res.status(400).json({ error: 'deviceId and path query parameters are required' });
+  }
+
+  const device = getConnectedDevice(deviceId, res, 'ftp-push-request');
+  if (!device) {
+    return;
+  }
+
+  const requestId = generateRequestId();
+  const size = req.get('content-length') ? parseInt(req.get('content-length'), 10) : null;
+  console.log(`📲 Sending push request to ${deviceId}: path=${path}, size=${size ?? 'unknown'}, requestId=${requestId}`);
+
+  const push = {
+    request: req,
+    credits: 0,
+    chunkSize: DOWNLOAD_CONFIG.CHUNK_SIZE,
+    pending: Buffer.alloc(0), // body bytes not yet sent to the device
+    bytesSent: 0,
+    ended: false,
+    lastSent: false
+  };
+
+  const timeoutId = setTimeout(() => {
+    const pendingRequest = pendingRequests.get(requestId);
+    if (pendingRequest) {
+      pendingRequest.reject(new Error('Request timeout'));
+    }
+  }, 3600000); // 60 minutes
+
+  const finish = (status, body) => {
+    clearTimeout(timeoutId);
+    pendingRequests.delete(requestId);
+    if (!res.headersSent) {
+      res.status(status).json(body);
+    }
+  };
+
+  pendingRequests.set(requestId, {
+    push,
+    deviceId,
+    startTime: Date.now(),
+    resolve: (result) => {
+      console.log(`✅ Push completed for requestId=${requestId}: ${push.bytesSent} bytes`);
+      finish(200, { success: true, requestId, bytesWritten: push.bytesSent, ...result });
+    },
+    reject: (err) => {
+      console.error(`❌ Push failed for requestId=${requestId}: ${err.message}`);
+      req.resume(); // drain the rest of the body so the error can be sent
+      finish(500, { error: err.message });
+    },
+    timeoutId
+  });
+
+  // Wait for the device's first credits before reading the body
+  req.pause();
+
+  req.on('data', (chunk) => {
+    if (!pendingRequests.has(requestId)) {
+      return;
+    }
+    push.pending = Buffer.concat([push.pending, chunk]);
+    pumpPush(requestId);
+  });
+
+  req.on('end', () => {
+    push.ended = true;
+    pumpPush(requestId);
+  });
+
+  // Browser went away mid-upload: tell the device to discard the partial file
+  req.on('close', () => {
+    if (!push.ended && pendingRequests.has(requestId)) {
+      console.log(`🛑 Push aborted by client for requestId=${requestId}`);
+      const pendingRequest = pendingRequests.get(requestId);
+      clearTimeout(pendingRequest.timeoutId);
+      pendingRequests.delete(requestId);
+      const currentDevice = devices.get(deviceId);
+      if (currentDevice && currentDevice.socketId) {
+        emitToSocket(currentDevice.socketId, 'ftp-push-cancel', { requestId });
+      }
+    }
+  });
+
+  emitToSocket(device.socketId, 'ftp-push-request', {
+    requestId,
+    path,
+    size,
+    overwrite: overwrite === 'true',
+    chunkSize: push.chunkSize
+  });
+});
 
-    // Send request to device via WebSocket
-    io.to(device.socketId).emit('vps-upload-request', {
+/**
+ * Send buffered push data to the device in chunkSize pieces, one credit each.
+ * A shorter tail waits for more of the body, or goes last once it has ended.
+ * Nothing is sent while the device is away; the data stays buffered and is
+ * sent when credits arrive or the device resumes. The body is only read while
+ * the device can take more.
+ */
+function pumpPush(requestId) {
+  const pendingRequest = pendingRequests.get(requestId);
+  if (!pendingRequest || !pendingRequest.push) {
+    return;
+  }
+  const { push } = pendingRequest;
+  const device = devices.get(pendingRequest.deviceId);
+  const connected = Boolean(device && device.socketId);
+
+  while (connected && push.credits > 0 &&
+         (push.pending.length >= push.chunkSize || (push.ended && push.pending.length > 0))) {
+    const chunk = push.pending.subarray(0, push.chunkSize);
+    push.pending = push.pending.subarray(chunk.length);
+    emitToSocket(device.socketId, 'ftp-push-chunk', {
       requestId,
-      path
+      chunk,
+      offset: push.bytesSent,
+      isLast: false
     });
+    push.bytesSent += chunk.length;
+    push.credits--;
+  }
 
-    // Return requestId immediately - client will listen for response via WebSocket
-    res.json({
+  if (connected && push.ended && push.pending.length === 0 && !push.lastSent) {
+    push.lastSent = true;
+    emitToSocket(device.socketId, 'ftp-push-chunk', {
+      requestId,
+      offset: push.bytesSent,
+      isLast: true
+    });
+  }
+
+  if (!push.ended) {
+    if (connected && push.credits > 0 && push.pending.length < push.chunkSize) {
+      push.request.resume();
+    } else {
+      push.request.pause();
+    }
+  }
+}
+
+// VPS upload endpoint - request device to upload file to VPS
+// The vps-upload-response and upload progress reach the device's subscribers
+app.post('/api/vps/upload', async (req, res) => {
+  const { deviceId, path, ttl } = req.body;
+
+  if (!deviceId || !path) {
+    return res.status(400).json({ error: 'deviceId and path are required' });
+  }
+
+  // Offline devices get the request queued until they register again
+  const device = devices.get(deviceId);
+  if (device && device.type === 'ftp-only') {
+    return res.status(400).json({ error: 'Device not connected via WebSocket' });
+  }
+
+  const unsupported = getUnsupportedReason(device, 'vps-upload-request');
+  if (unsupported) {
+    return res.status(501).json({ error: unsupported, code: 'unsupported' });
+  }
+
+  // Repeating a request with the same Idempotency-Key returns the original
+  const idempotencyKey = req.get('idempotency-key') || null;
+  const previous = commandQueue.findByIdempotencyKey(deviceId, idempotencyKey);
+  if (previous) {
+    console.log(`🔁 VPS upload request repeated (Idempotency-Key), requestId=${previous.requestId}`);
+    return res.status(previous.status === commandQueue.COMMAND_STATES.QUEUED ? 202 : 200).json({
+      success: true,
+      requestId: previous.requestId,
+      status: previous.status,
+      replayed: true
+    });
+  }
+
+  // Generate unique request ID
+  const requestId = generateRequestId();
+
+  try {
+    console.log(`📤 Sending VPS upload request to ${deviceId}: path=${path}, requestId=${requestId}`);
+
+    // Track the (REST) request before sending: the device may answer right away
+    eventDelivery.trackOrigin(requestId, null, deviceId);
+
+    const { command, delivery, error, statusCode } = sendCommand(deviceId, 'vps-upload-request', { requestId, path }, {
+      ttl,
+      idempotencyKey
+    });
+    if (error) {
+      eventDelivery.forgetOrigin(requestId);
+      return res.status(statusCode).json({ error });
+    }
+
+    // Devices with RPC acks confirm they accepted before we answer
+    const ack = delivery ? await delivery : null;
+    const queued = command.status === commandQueue.COMMAND_STATES.QUEUED;
+    res.status(queued ? 202 : 200).json({
       success: true,
       requestId,
-      message: 'Upload request sent to device. Listen for vps-upload-response event.'
+      status: command.status,
+      accepted: Boolean(ack),
+      expiresAt: new Date(command.expiresAt).toISOString(),
+      message: queued
+        ? 'Device is offline; the request is queued until it reconnects. Listen for vps-upload-response event.'
+        : 'Upload request sent to device. Listen for vps-upload-response event.'
     });
 
-    console.log(`✅ VPS upload request sent: requestId=${requestId}`);
+    console.log(`✅ VPS upload request ${queued ? 'queued' : 'sent'}: requestId=${requestId}`);
   } catch (err) {
     console.error(`Error in /api/vps/upload: ${err.message}`);
-    res.status(500).json({ error: err.message });
+    eventDelivery.forgetOrigin(requestId);
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
   }
 });
 
+// ============================================
+// DEVICE COMMAND QUEUE
+// ============================================
+
+// Status of a queueable command (queued, delivered, acked, expired, failed)
+app.get('/api/commands/:requestId', (req, res) => {
+  const command = commandQueue.getCommand(req.params.requestId);
+  if (!command) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  res.json({ command: commandQueue.serializeCommand(command) });
+});
+
+app.get('/api/devices/:deviceId/commands', (req, res) => {
+  const { status } = req.query;
+  const commands = commandQueue.listCommands({ deviceId: req.params.deviceId, status });
+  res.json({ commands: commands.map(commandQueue.serializeCommand) });
+});
+
+// ============================================
+// MIRRORING SESSION ENDPOINTS
+// ============================================
+
+// Each ICE server answer (/api/ice-servers, 'get-ice-servers', 'join-session')
+// mints TURN credentials, so callers are limited
+const ICE_REQUEST_LIMIT = {
+  MAX: parseInt(process.env.ICE_SERVERS_RATE_LIMIT, 10) || 20, // requests per window
+  WINDOW: 60 * 1000 // 1 minute
+};
+
+// Requests per caller (device or client address): key -> { count, windowStart }
+const iceRequestCounts = new Map();
+
+// Seconds until the caller may ask again, or 0 if this request is allowed
+function consumeIceRequest(key) {
+  const now = Date.now();
+  let entry = iceRequestCounts.get(key);
+  if (!entry || now - entry.windowStart >= ICE_REQUEST_LIMIT.WINDOW) {
+    entry = { count: 0, windowStart: now };
+    iceRequestCounts.set(key, entry);
+  }
+  if (entry.count >= ICE_REQUEST_LIMIT.MAX) {
+    return Math.ceil((entry.windowStart + ICE_REQUEST_LIMIT.WINDOW - now) / 1000);
+  }
+  entry.count++;
+  return 0;
+}
+
+/**
+ * Mint ICE servers for an authenticated caller, within its rate limit.
+ *
+ * @param {object} caller - { key (rate-limit bucket), userId (TURN username) }
+ * @returns {{ iceConfig?: object, error?: string, code?: string, retryAfter?: number }}
+ */
+function issueIceServers(caller) {
+  const retryAfter = consumeIceRequest(caller.key);
+  if (retryAfter) {
+    console.warn(`⚠️ ICE server requests rate-limited for ${caller.key}`);
+    return { error: 'Too many ICE server requests, slow down', code: 'rate-limited', retryAfter };
+  }
+  return { iceConfig: getIceServers(caller.userId) };
+}
+
+// ICE caller for a socket: /device and /client sockets passed their handshake
+// auth. The default namespace has none, so only a registered device qualifies.
+function socketIceCaller(socket) {
+  const deviceAuth = socket.data.deviceAuth;
+  const deviceId = socket.deviceId || (deviceAuth && !deviceAuth.canEnroll ? deviceAuth.deviceId : null);
+  if (deviceId) {
+    return { key: `device:${deviceId}`, userId: deviceId };
+  }
+  if (socket.nsp.name !== '/client') {
+    return null;
+  }
+  return { key: `client:${socket.handshake.address}`, userId: socket.id };
+}
+
+// ICE servers for a socket, or why it gets none
+function issueSocketIceServers(socket) {
+  const caller = socketIceCaller(socket);
+  if (!caller) {
+    return { error: 'Unauthorized', code: 'unauthorized' };
+  }
+  return issueIceServers(caller);
+}
+
+function cleanupIceRequestCounts() {
+  const now = Date.now();
+  for (const [key, entry] of iceRequestCounts.entries()) {
+    if (now - entry.windowStart >= ICE_REQUEST_LIMIT.WINDOW) {
+      iceRequestCounts.delete(key);
+    }
+  }
+}
+
+// ICE server configuration with short-lived TURN credentials. Devices send
+// X-Device-Id and X-Device-Secret; clients send CLIENT_TOKEN as a bearer token
+// (when configured, as on the /client namespace).
+app.get('/api/ice-servers', (req, res) => {
+  const deviceId = req.get('x-device-id');
+  let caller;
+  if (deviceId) {
+    const auth = authenticateDevice({ deviceId, deviceSecret: req.get('x-device-secret') }, { enroll: false });
+    if (!auth.ok || auth.canEnroll) {
+      return res.status(401).json({ error: 'Invalid device credentials' });
+    }
+    caller = { key: `device:${deviceId}`, userId: deviceId };
+  } else {
+    const header = req.get('authorization') || '';
+    if (!authenticateClient(header.startsWith('Bearer ') ? header.slice(7) : null)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    caller = { key: `client:${req.ip}`, userId: req.query.userId || 'web-client' };
+  }
+
+  const { iceConfig, error, code, retryAfter } = issueIceServers(caller);
+  if (error) {
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({ error, code });
+  }
+  res.json(iceConfig);
+});
+
+// List sessions (optionally filtered by device, or only open sessions)
+app.get('/api/sessions', (req, res) => {
+  const { deviceId, active } = req.query;
+  const list = listSessions({ deviceId, includeEnded: active !== 'true' });
+  res.json({ sessions: list.map(serializeSession) });
+});
+
+// Get a single session
+app.get('/api/sessions/:sessionId', (req, res) => {
+  const session = getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json({ session: serializeSession(session) });
+});
+
+// Start (or reuse) a mirroring session for a device and answer with it
+function respondWithMirroringStart(res, deviceId, body) {
+  const { options, error } = parseMirrorOptions(body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const unsupported = getUnsupportedReason(devices.get(deviceId), 'REQUEST_MIRROR', options);
+  if (unsupported) {
+    return res.status(501).json({ error: unsupported, code: 'unsupported' });
+  }
+
+  const { session, error: startError, code } = startMirroring(deviceId, { ...options, ttl: body.ttl });
+  if (code === 'conflict') {
+    return res.status(409).json({ error: startError, code, session: serializeSession(session) });
+  }
+  if (!session) {
+    return res.status(404).json({ error: startError });
+  }
+
+  // 202 while REQUEST_MIRROR waits in the device's command queue
+  const command = commandQueue.getCommand(session.id);
+  const queued = Boolean(command && command.status === commandQueue.COMMAND_STATES.QUEUED);
+  res.status(queued ? 202 : 200).json({
+    session: serializeSession(session),
+    command: command ? commandQueue.serializeCommand(command) : null,
+    mirroring: devices.get(deviceId)?.mirroring || null
+  });
+}
+
+// Mirroring a device needs its access token (Bearer), as on the sockets
+const requireSessionDeviceAccess = requireDeviceAccess(req => getSession(req.params.sessionId)?.deviceId);
+
+// Start (or reuse) a mirroring session for a device
+app.post('/api/sessions', requireDeviceAccess(req => req.body.deviceId), (req, res) => {
+  const { deviceId } = req.body;
+
+  if (!deviceId) {
+    return res.status(400).json({ error: 'deviceId is required' });
+  }
+  respondWithMirroringStart(res, deviceId, req.body);
+});
+
+// End a session for the device and all of its viewers
+app.delete('/api/sessions/:sessionId', requireSessionDeviceAccess, (req, res) => {
+  const session = getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  stopMirroring(session, 'ended-by-api');
+  res.json({ session: serializeSession(session) });
+});
+
+// ============================================
+// DEVICE MIRRORING CONTROL ENDPOINTS
+// ============================================
+
+// Mirroring status as recorded on the device, plus its open session
+app.get('/api/devices/:deviceId/mirror', (req, res) => {
+  const device = devices.get(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+
+  const session = getOpenSessionForDevice(device.id);
+  res.json({
+    mirroring: device.mirroring || null,
+    session: session ? serializeSession(session) : null
+  });
+});
+
+// Request mirroring: { quality, resolution: '1280x720', bitrate (kbps), fps, ttl }
+app.post('/api/devices/:deviceId/mirror', requireDeviceAccess(), (req, res) => {
+  respondWithMirroringStart(res, req.params.deviceId, req.body || {});
+});
+
+// Change quality, resolution, bitrate or frame rate of the running session
+app.patch('/api/devices/:deviceId/mirror', requireDeviceAccess(), async (req, res) => {
+  const { deviceId } = req.params;
+  const { options, error } = parseMirrorOptions(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (Object.keys(options).length === 0) {
+    return res.status(400).json({ error: 'At least one of quality, resolution, bitrate or fps is required' });
+  }
+
+  const session = getOpenSessionForDevice(deviceId);
+  if (!session) {
+    return res.status(404).json({ error: 'No open mirroring session for device' });
+  }
+  if (commandQueue.isQueued(session.id)) {
+    return res.status(409).json({ error: 'Mirroring request is still queued for the offline device' });
+  }
+
+  try {
+    const result = await reconfigureMirroring(session, options);
+    // Devices without acks confirm later with 'mirror-state'
+    res.status(result ? 200 : 202).json({
+      session: serializeSession(session),
+      mirroring: devices.get(deviceId)?.mirroring || null,
+      acknowledged: Boolean(result)
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// Stop mirroring on the device and end the session for all viewers
+app.delete('/api/devices/:deviceId/mirror', requireDeviceAccess(), (req, res) => {
+  const session = getOpenSessionForDevice(req.params.deviceId);
+  if (!session) {
+    return res.status(404).json({ error: 'No open mirroring session for device' });
+  }
+
+  stopMirroring(session, 'stopped-by-api');
+  res.json({
+    session: serializeSession(session),
+    mirroring: devices.get(req.params.deviceId)?.mirroring || null
+  });
+});
+
+// ============================================
+// CLIPBOARD ENDPOINTS
+// ============================================
+
+// Why a connected device can't take clipboard requests, or null
+function getClipboardBlocker(device, eventName) {
+  if (!device || !device.socketId) {
+    return { error: 'Device not found or offline', code: 'device-offline', statusCode: 404 };
+  }
+  const unsupported = getUnsupportedReason(device, eventName);
+  if (unsupported) {
+    return { error: unsupported, code: 'unsupported', statusCode: 501 };
+  }
+  if (!device.clipboardSync) {
+    return { error: 'Clipboard sync is turned off on this device', code: 'clipboard-disabled', statusCode: 403 };
+  }
+  return null;
+}
+
+// Put validated content on the device's clipboard; resolves with the ack (null without acks)
+function pushClipboard(deviceId, clip, from) {
+  console.log(`📋 Clipboard push to ${deviceId}: ${clip.mimeType}, ${clip.size} bytes (from ${from})`);
+  return deviceRpc.call(deviceId, 'clipboard-push', { mimeType: clip.mimeType, data: clip.data, from }, {
+    timeout: clipboardRelay.CLIPBOARD_CONFIG.REQUEST_TIMEOUT,
+    awaitResponse: false
+  });
+}
+
+// Ask the device for its clipboard; resolves with a validated clip, or null when it is empty
+async function pullClipboard(deviceId) {
+  const result = await deviceRpc.call(deviceId, 'clipboard-pull-request', {}, {
+    timeout: clipboardRelay.CLIPBOARD_CONFIG.REQUEST_TIMEOUT
+  });
+  if (!result || !result.mimeType) {
+    return null;
+  }
+  const { clip, error } = clipboardRelay.parseClipboard(result);
+  if (error) {
+    throw new RpcError(RPC_ERRORS.DEVICE_ERROR, `Device sent invalid clipboard: ${error}`);
+  }
+  console.log(`📋 Clipboard pulled from ${deviceId}: ${clip.mimeType}, ${clip.size} bytes`);
+  return clip;
+}
+
+// Read the device's clipboard (Bearer device access token, as on the sockets)
+app.get('/api/devices/:deviceId/clipboard', requireDeviceAccess(), async (req, res) => {
+  const device = getConnectedDevice(req.params.deviceId, res, 'clipboard-pull-request');
+  if (!device) {
+    return;
+  }
+  const blocker = getClipboardBlocker(device, 'clipboard-pull-request');
+  if (blocker) {
+    return res.status(blocker.statusCode).json({ error: blocker.error, code: blocker.code });
+  }
+
+  try {
+    const clip = await pullClipboard(device.id);
+    res.json({ deviceId: device.id, clipboard: clip });
+  } catch (err) {
+    console.error('Error in /api/devices/:deviceId/clipboard:', err.message);
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// Set the device's clipboard (Bearer device access token): { mimeType: 'text/plain', data: 'text' } or { mimeType: 'image/png', data: base64 }
+app.post('/api/devices/:deviceId/clipboard', requireDeviceAccess(), async (req, res) => {
+  const device = getConnectedDevice(req.params.deviceId, res, 'clipboard-push');
+  if (!device) {
+    return;
+  }
+  const blocker = getClipboardBlocker(device, 'clipboard-push');
+  if (blocker) {
+    return res.status(blocker.statusCode).json({ error: blocker.error, code: blocker.code });
+  }
+
+  const { clip, error } = clipboardRelay.parseClipboard(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await pushClipboard(device.id, clip, 'api');
+    res.json({ success: true, deviceId: device.id, mimeType: clip.mimeType, size: clip.size, acknowledged: Boolean(result) });
+  } catch (err) {
+    console.error('Error in POST /api/devices/:deviceId/clipboard:', err.message);
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// ============================================
+// SCREENSHOT ENDPOINTS
+// ============================================
+
+// Capture the device's screen: { format: png|jpeg|webp, quality, maxWidth }
+app.post('/api/devices/:deviceId/screenshot', async (req, res) => {
+  const device = getConnectedDevice(req.params.deviceId, res, 'screenshot-request');
+  if (!device) {
+    return;
+  }
+  const { options, error } = screenshots.parseScreenshotOptions(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const requestId = generateRequestId();
+  console.log(`📸 Requesting screenshot from ${device.id}: format=${options.format}, requestId=${requestId}`);
+
+  try {
+    const response = await deviceRpc.call(device.id, 'screenshot-request', options, {
+      requestId,
+      timeout: screenshots.SCREENSHOT_CONFIG.REQUEST_TIMEOUT
+    });
+    const entry = await screenshots.saveScreenshot(device.id, requestId, response || {});
+    const screenshot = completedStore.serializeFile(entry);
+    console.log(`📸 Screenshot from ${device.id} stored: ${entry.relativePath} (${entry.size} bytes)`);
+
+    eventDelivery.deliver(io, 'screenshot-captured', { deviceId: device.id, screenshot }, { deviceId: device.id });
+    res.status(201).json({ screenshot, url: screenshot.downloadUrl });
+  } catch (err) {
+    console.error(`Error in /api/devices/:deviceId/screenshot: ${err.message}`);
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// Past screenshots of a device, newest first
+app.get('/api/devices/:deviceId/screenshots', (req, res) => {
+  const files = completedStore.listFiles({ deviceId: req.params.deviceId, kind: 'screenshot' });
+  res.json({ screenshots: files.map(completedStore.serializeFile), count: files.length });
+});
+
 // ============================================
 // APP MONITORING ENDPOINTS
 // ============================================
@@ -1258,34 +3756,410 @@ app.get('/api/apps/list', (req, res) => {
 // TUS Upload Routes (Resumable Uploads)
 // ============================================
 
-// TUS upload endpoint - handles all TUS protocol requests
-app.use('/tus', (req, res) => {
-  tusServer.handle(req, res);
-});
+// TUS upload endpoint - handles all TUS protocol requests
+app.use('/tus', (req, res) => {
+  // Advertise the checksum extension's algorithms (tus only adds Tus-Extension)
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Tus-Checksum-Algorithm', CHECKSUM_ALGORITHMS.join(','));
+  }
+  tusServer.handle(req, res);
+});
+
+// Get upload status endpoint
+app.get('/api/tus/status/:uploadId', async (req, res) => {
+  try {
+    const upload = await tusServer.getUpload(req.params.uploadId);
+    res.json({
+      id: upload.id,
+      size: upload.size,
+      offset: upload.offset,
+      metadata: upload.metadata,
+      percentage: Math.round((upload.offset / upload.size) * 100)
+    });
+  } catch (err) {
+    res.status(404).json({ error: 'Upload not found' });
+  }
+});
+
+// ============================================
+// Completed Uploads Store
+// ============================================
+
+// List completed uploads, newest first (optionally for one device)
+app.get('/api/uploads', (req, res) => {
+  const { deviceId, kind } = req.query;
+  const files = completedStore.listFiles({ deviceId, kind }).map(completedStore.serializeFile);
+  res.json({
+    files,
+    count: files.length,
+    totalBytes: files.reduce((sum, file) => sum + file.size, 0)
+  });
+});
+
+app.get('/api/uploads/:fileId', (req, res) => {
+  const entry = completedStore.getFile(req.params.fileId);
+  if (!entry) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.json(completedStore.serializeFile(entry));
+});
+
+// Origin the client used to reach us, for absolute links (e.g. share URLs)
+function getBaseUrl(req) {
+  return `${req.get('x-forwarded-proto') || req.protocol}://${req.get('x-forwarded-host') || req.get('host')}`;
+}
+
+// Types browsers display without running scripts (never HTML or SVG)
+function isSafeInlineType(mimeType) {
+  return /^(image|video|audio)\//.test(mimeType) || mimeType === 'application/pdf';
+}
+
+// Serve a completed upload; sendFile handles Range and conditional requests.
+// Stored files come from devices, so they are served from this origin only as
+// downloads or as safe media types, never sniffed, and sandboxed.
+function sendStoredFile(res, entry, inline) {
+  completedStore.touchFile(entry);
+  if (entry.sha256) {
+    res.setHeader('Repr-Digest', `sha-256=:${Buffer.from(entry.sha256, 'hex').toString('base64')}:`);
+  }
+  const mimeType = guessMimeType(entry.filename);
+  const display = inline && isSafeInlineType(mimeType);
+  res.setHeader('Content-Disposition', `${display ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(entry.filename)}`);
+  res.setHeader('Content-Type', display ? mimeType : 'application/octet-stream');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Security-Policy', 'sandbox');
+
+  res.sendFile(completedStore.getFilePath(entry), { dotfiles: 'allow' }, (err) => {
+    if (err && !res.headersSent) {
+      console.error(`❌ Error serving completed upload ${entry.id}:`, err.message);
+      res.status(err.status === 404 ? 404 : 500).json({ error: 'File unavailable' });
+    }
+  });
+}
+
+app.get('/api/uploads/:fileId/download', (req, res) => {
+  const entry = completedStore.getFile(req.params.fileId);
+  if (!entry) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  sendStoredFile(res, entry, req.query.inline === 'true');
+});
+
+app.delete('/api/uploads/:fileId', async (req, res) => {
+  try {
+    const deleted = await completedStore.deleteFile(req.params.fileId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    shareLinks.revokeSharesForFile(req.params.fileId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`Error in DELETE /api/uploads: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Storage usage per device against quotas and retention limits
+app.get('/api/storage/usage', (req, res) => {
+  const report = storagePolicy.getUsageReport();
+  if (req.query.deviceId) {
+    const key = storagePolicy.deviceKey(req.query.deviceId);
+    report.devices = report.devices.filter(device => device.deviceId === key);
+  }
+  res.json(report);
+});
+
+// Body: { quotaBytes } - bytes, 0 for unlimited, null to restore the default
+app.put('/api/admin/devices/:deviceId/quota', requireAdmin, (req, res) => {
+  const { quotaBytes } = req.body || {};
+  if (quotaBytes !== null && !(Number.isFinite(quotaBytes) && quotaBytes >= 0)) {
+    return res.status(400).json({ error: 'quotaBytes must be a non-negative number or null' });
+  }
+
+  storagePolicy.setDeviceQuota(req.params.deviceId, quotaBytes);
+  console.log(`💾 Storage quota for ${req.params.deviceId}: ${quotaBytes === null ? 'default' : quotaBytes}`);
+  res.json({
+    deviceId: req.params.deviceId,
+    quotaBytes: storagePolicy.getDeviceQuota(req.params.deviceId) || null
+  });
+});
+
+// SDP policy for a device: its overrides and the effective policy
+app.get('/api/admin/devices/:deviceId/sdp-policy', requireAdmin, (req, res) => {
+  res.json({
+    deviceId: req.params.deviceId,
+    override: sdpPolicy.getDevicePolicyOverride(req.params.deviceId),
+    policy: sdpPolicy.getDevicePolicy(req.params.deviceId),
+    defaults: sdpPolicy.DEFAULT_POLICY
+  });
+});
+
+// Body: { videoCodecs, audioCodecs, maxBitrateKbps, relayOnly } - omitted or
+// null fields follow the deployment policy
+app.put('/api/admin/devices/:deviceId/sdp-policy', requireAdmin, (req, res) => {
+  const { policy, error } = sdpPolicy.parsePolicy(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  sdpPolicy.setDevicePolicy(req.params.deviceId, policy);
+  console.log(`🔒 SDP policy for ${req.params.deviceId}: ${JSON.stringify(policy)}`);
+  res.json({
+    deviceId: req.params.deviceId,
+    override: sdpPolicy.getDevicePolicyOverride(req.params.deviceId),
+    policy: sdpPolicy.getDevicePolicy(req.params.deviceId)
+  });
+});
+
+// Drop a device's overrides: the deployment policy applies again
+app.delete('/api/admin/devices/:deviceId/sdp-policy', requireAdmin, (req, res) => {
+  sdpPolicy.setDevicePolicy(req.params.deviceId, null);
+  console.log(`🔒 SDP policy for ${req.params.deviceId}: default`);
+  res.json({ deviceId: req.params.deviceId, override: null, policy: sdpPolicy.getDevicePolicy(req.params.deviceId) });
+});
+
+// ============================================
+// Share Links (signed, expiring public URLs)
+// ============================================
+
+app.get('/api/uploads/:fileId/shares', (req, res) => {
+  if (!completedStore.getFile(req.params.fileId)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  const baseUrl = getBaseUrl(req);
+  res.json({
+    shares: shareLinks.listShares({ fileId: req.params.fileId }).map(share => shareLinks.serializeShare(share, baseUrl))
+  });
+});
+
+// Body: { ttl (seconds), maxDownloads, password } - all optional
+app.post('/api/uploads/:fileId/shares', async (req, res) => {
+  const entry = completedStore.getFile(req.params.fileId);
+  if (!entry) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  const { ttl, maxDownloads, password } = req.body || {};
+  if (password !== undefined && password !== null && typeof password !== 'string') {
+    return res.status(400).json({ error: 'password must be a string' });
+  }
+
+  const share = await shareLinks.createShare(entry.id, { ttl, maxDownloads, password });
+  console.log(`🔗 Share link created for ${entry.relativePath}: ${share.id}`);
+  res.status(201).json(shareLinks.serializeShare(share, getBaseUrl(req)));
+});
+
+app.get('/api/shares', (req, res) => {
+  const baseUrl = getBaseUrl(req);
+  res.json({
+    shares: shareLinks.listShares().map(share => shareLinks.serializeShare(share, baseUrl))
+  });
+});
+
+app.delete('/api/shares/:shareId', (req, res) => {
+  if (!shareLinks.getShare(req.params.shareId)) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+  shareLinks.revokeShare(req.params.shareId);
+  res.json({ success: true });
+});
+
+function renderSharePasswordForm(res, filename, message) {
+  const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+  res.status(401).send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Protected file</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; display: flex; align-items: center; justify-content: center; margin: 0; }
+        form { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 5px 20px rgba(0,0,0,0.3); min-width: 280px; }
+        h3 { color: #667eea; margin-top: 0; word-break: break-all; }
+        input { width: 100%; padding: 10px; margin: 10px 0; box-sizing: border-box; border: 1px solid #ddd; border-radius: 5px; }
+        button { width: 100%; padding: 10px; background: linear-gradient(90deg, #667eea, #764ba2); color: white; border: none; border-radius: 5px; cursor: pointer; font-weight: bold; }
+        .error { color: #dc3545; font-size: 0.9em; }
+      </style>
+    </head>
+    <body>
+      <form method="POST">
+        <h3>🔒 ${escapeHtml(filename)}</h3>
+        ${message ? `<p class="error">${escapeHtml(message)}</p>` : ''}
+        <input type="password" name="password" placeholder="Password" autofocus required>
+        <button type="submit">⬇️ Download</button>
+      </form>
+    </body>
+    </html>
+  `);
+}
+
+// Public share link: GET downloads (or shows the password form), POST submits the password
+async function handleShareDownload(req, res) {
+  const { share, error, statusCode } = shareLinks.resolveShareToken(req.params.token);
+  if (!share) {
+    return res.status(statusCode).json({ error });
+  }
+
+  const entry = completedStore.getFile(share.fileId);
+  if (!entry) {
+    return res.status(410).json({ error: 'Shared file no longer exists' });
+  }
+
+  const password = (req.body && req.body.password) || req.get('x-share-password');
+  const { ok, retryAfter } = await shareLinks.checkSharePassword(share, password);
+  if (retryAfter) {
+    console.warn(`🔒 Share link ${share.id}: too many password attempts`);
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many password attempts, try again later' });
+  }
+  if (!ok) {
+    if (req.accepts('html')) {
+      return renderSharePasswordForm(res, entry.filename, password ? 'Wrong password' : null);
+    }
+    return res.status(401).json({ error: password ? 'Wrong password' : 'Password required' });
+  }
+
+  // Ranges count for the bytes they cover; other forms are served whole
+  const range = parseRangeHeader(req.get('range'));
+  const end = range && range.end !== null ? Math.min(range.end + 1, entry.size) : entry.size;
+  const bytes = range ? Math.max(end - range.start, 0) : entry.size;
+  shareLinks.recordDownload(share, bytes, entry.size);
+
+  console.log(`🔗 Share link download: ${share.id} -> ${entry.relativePath} (${share.downloads}/${share.maxDownloads ?? '∞'})`);
+  sendStoredFile(res, entry, req.query.inline === 'true');
+}
+
+app.get('/s/:token', handleShareDownload);
+app.post('/s/:token', express.urlencoded({ extended: false }), handleShareDownload);
+
+
+console.log(`🚀 Signaling server starting on port ${PORT}...`);
+console.log(`🔧 Server version: Updated with register_device handler and enhanced logging`);
+
+// ============================================================================
+// SOCKET NAMESPACES
+// ============================================================================
+
+// Signalling and session events used by both sides
+const SHARED_EVENTS = [
+  'offer', 'answer', 'ice-candidate', 'get-ice-servers',
+  'join-session', 'leave-session', 'session-state-update', 'remote-input', 'get-devices', 'ping'
+];
+
+// Clipboard relay (device side); clients use clipboard-push / clipboard-pull
+const DEVICE_CLIPBOARD_EVENTS = ['clipboard-settings', 'clipboard-update'];
+
+// Responses to server/client requests; only a registered device may send them
+const DEVICE_RESPONSE_EVENTS = new Set([
+  'ftp-list-response', 'ftp-download-start', 'ftp-download-chunk',
+  'ftp-delete-response', 'ftp-rename-response', 'ftp-mkdir-response', 'ftp-push-response',
+  'ftp-push-credit', 'vps-upload-response', 'ftp-upload-progress', 'browse-files-response', 'command-ack',
+  'clipboard-pull-response', 'screenshot-response'
+]);
+
+const NAMESPACE_EVENTS = {
+  '/device': new Set([...SHARED_EVENTS, 'register', 'register_device', 'end-session', 'mirror-state', 'set-viewer-permission',
+    ...DEVICE_CLIPBOARD_EVENTS, ...DEVICE_RESPONSE_EVENTS]),
+  '/client': new Set([...SHARED_EVENTS, 'browse-files-request', 'subscribe-device', 'unsubscribe-device',
+    'clipboard-push', 'clipboard-pull'])
+};
+
+// Devices authenticate in the handshake: io('/device', { auth: { deviceId, deviceSecret } }).
+// New devices are only checked here and enroll on 'register', which delivers their secret.
+deviceNamespace.use((socket, next) => {
+  const credentials = socket.handshake.auth || {};
+  const auth = authenticateDevice(credentials, { enroll: false });
+  if (!auth.ok) {
+    console.warn(`🔒 Rejected /device handshake for ${credentials.deviceId || 'unknown'}: ${auth.error}`);
+    const err = new Error(auth.error);
+    err.data = { error: auth.error };
+    return next(err);
+  }
+  socket.data.deviceAuth = { ...auth, deviceId: credentials.deviceId, pairingCode: credentials.pairingCode };
+  next();
+});
+
+// Clients present CLIENT_TOKEN (when configured): io('/client', { auth: { token } })
+clientNamespace.use((socket, next) => {
+  if (!authenticateClient((socket.handshake.auth || {}).token)) {
+    console.warn(`🔒 Rejected /client handshake from ${socket.handshake.address}`);
+    const err = new Error('Unauthorized');
+    err.data = { error: 'Unauthorized' };
+    return next(err);
+  }
+  next();
+});
+
+if (!LEGACY_NAMESPACE_ENABLED) {
+  io.use((socket, next) => next(new Error('Connect to the /device or /client namespace')));
+}
+
+// Drop events the socket's namespace doesn't allow, and device responses
+// from sockets that haven't registered as a device
+function enforceAllowedEvents(socket) {
+  const allowed = NAMESPACE_EVENTS[socket.nsp.name];
+
+  socket.use(([eventName], next) => {
+    let error = null;
+    if (allowed && !allowed.has(eventName)) {
+      error = `Event not allowed on ${socket.nsp.name}`;
+    } else if (DEVICE_RESPONSE_EVENTS.has(eventName) && !socket.deviceId) {
+      error = 'Device is not registered';
+    }
+
+    if (error) {
+      console.warn(`🚫 Rejected "${eventName}" from ${socket.id}: ${error}`);
+      socket.emit('event-rejected', { event: eventName, error });
+      return;
+    }
+    next();
+  });
+}
+
+// Registration on /device uses the identity proven in the handshake; the
+// default namespace still authenticates with credentials in the event
+function authenticateRegistration(socket, deviceId, data) {
+  const handshakeAuth = socket.data.deviceAuth;
+  if (handshakeAuth) {
+    if (deviceId !== handshakeAuth.deviceId) {
+      return { ok: false, error: 'deviceId does not match the authenticated device' };
+    }
+    if (!handshakeAuth.canEnroll) {
+      return handshakeAuth;
+    }
+    // Consume the pairing code and issue the secret that 'registered' delivers;
+    // a device that drops before this can reconnect with the same code
+    const auth = authenticateDevice({ deviceId, pairingCode: handshakeAuth.pairingCode });
+    if (auth.ok) {
+      socket.data.deviceAuth = { ok: true, enrolled: false, deviceId };
+    }
+    return auth;
+  }
+
+  return authenticateDevice({
+    deviceId,
+    deviceSecret: data.deviceSecret,
+    pairingCode: data.pairingCode
+  });
+}
 
-// Get upload status endpoint
-app.get('/api/tus/status/:uploadId', async (req, res) => {
-  try {
-    const upload = await tusServer.getUpload(req.params.uploadId);
-    res.json({
-      id: upload.id,
-      size: upload.size,
-      offset: upload.offset,
-      metadata: upload.metadata,
-      percentage: Math.round((upload.offset / upload.size) * 100)
-    });
-  } catch (err) {
-    res.status(404).json({ error: 'Upload not found' });
+// A client-routed response must come from the device the request was sent to
+function isResponseFromTargetDevice(socket, requestId, eventName) {
+  const origin = eventDelivery.getOrigin(requestId);
+  if (!origin || origin.deviceId !== socket.deviceId) {
+    console.warn(`⚠️ Ignoring ${eventName} for requestId=${requestId} from ${socket.deviceId} (expected ${origin ? origin.deviceId : 'no pending request'})`);
+    return false;
   }
-});
+  return true;
+}
 
+SOCKET_NAMESPACES.forEach(namespace => namespace.on('connection', handleConnection));
 
-console.log(`🚀 Signaling server starting on port ${PORT}...`);
-console.log(`🔧 Server version: Updated with register_device handler and enhanced logging`);
+function handleConnection(socket) {
+  enforceAllowedEvents(socket);
 
-io.on('connection', (socket) => {
   const connectionTime = new Date().toISOString();
-  console.log(`✅ Client connected: ${socket.id} at ${connectionTime}`);
+  console.log(`✅ Client connected: ${socket.id} (${socket.nsp.name}) at ${connectionTime}`);
   console.log(`📊 Current device count: ${devices.size}`);
 
   // Debug: Log all events received (helps diagnose missing events)
@@ -1296,9 +4170,9 @@ io.on('connection', (socket) => {
         console.log(`🔍 Event received: "${eventName}" from ${socket.id}`);
         if (args.length > 0) {
           try {
-            console.log(`   Data:`, JSON.stringify(args[0], null, 2));
+            console.log(`   Data:`, JSON.stringify(redactSecrets(args[0]), null, 2));
           } catch (e) {
-            console.log(`   Data:`, args[0]);
+            console.log(`   Data:`, redactSecrets(args[0]));
           }
         }
       });
@@ -1314,27 +4188,48 @@ io.on('connection', (socket) => {
   socket.on('register', (data) => {
     try {
       console.log(`📥 Received 'register' event from ${socket.id}`);
-      console.log(`📥 Event data:`, JSON.stringify(data, null, 2));
+      console.log(`📥 Event data:`, JSON.stringify(redactSecrets(data), null, 2));
 
-      const deviceId = data.deviceId || uuidv4();
+      const deviceId = data.deviceId || socket.data.deviceAuth?.deviceId || uuidv4();
 
       if (!deviceId) {
         console.error(`❌ No deviceId provided, using UUID fallback`);
       }
 
+      const auth = authenticateRegistration(socket, deviceId, data);
+      if (!auth.ok) {
+        console.warn(`🔒 Rejected 'register' for ${deviceId}: ${auth.error}`);
+        socket.emit('registration_error', { deviceId, error: auth.error });
+        return;
+      }
+
+      claimDeviceSocket(deviceId, socket);
+      const resumed = resumeDeviceConnection(deviceId);
+      const previous = resumed ? devices.get(deviceId) : null;
+
       devices.set(deviceId, {
         id: deviceId,
-        name: data.deviceName || 'Unknown Device',
-        type: data.deviceType || 'unknown',
+        name: data.deviceName || previous?.name || 'Unknown Device',
+        type: data.deviceType || previous?.type || 'unknown',
         socketId: socket.id,
         status: 'online',
         connectedAt: new Date(),
         lastActivity: Date.now(),
-        ipAddress: data.ipAddress || null
+        ipAddress: data.ipAddress || previous?.ipAddress || null,
+        mirroring: devices.get(deviceId)?.mirroring || null
       });
 
-      socket.deviceId = deviceId;
-      socket.emit('registered', { deviceId });
+      socket.emit('registered', {
+        deviceId,
+        ...(auth.deviceSecret && { deviceSecret: auth.deviceSecret }),
+        ...(resumed && { resumed, pendingRequestIds: pendingRequestIdsForDevice(deviceId) })
+      });
+
+      if (resumed) {
+        resyncResumedDevice(deviceId);
+      }
+      deliverQueuedCommands(deviceId);
+      flushDeviceCandidates(deviceId);
 
       console.log(`📱 Device registered (legacy): ${deviceId} (${data.deviceName || 'Unknown'})`);
       console.log(`📊 Total devices: ${devices.size}`);
@@ -1351,36 +4246,68 @@ io.on('connection', (socket) => {
   socket.on('register_device', (data) => {
     try {
       console.log(`📥 Received 'register_device' event from ${socket.id}`);
-      console.log(`📥 Event data:`, JSON.stringify(data, null, 2));
+      console.log(`📥 Event data:`, JSON.stringify(redactSecrets(data), null, 2));
 
       if (!data) {
         console.error(`❌ register_device: data is null or undefined`);
         return;
       }
 
-      const deviceId = data.deviceId || uuidv4();
+      const deviceId = data.deviceId || socket.data.deviceAuth?.deviceId || uuidv4();
 
       if (!deviceId) {
         console.error(`❌ No deviceId provided, using UUID fallback`);
       }
 
-      console.log(`📝 Registering device with ID: ${deviceId}`);
+      const auth = authenticateRegistration(socket, deviceId, data);
+      if (!auth.ok) {
+        console.warn(`🔒 Rejected 'register_device' for ${deviceId}: ${auth.error}`);
+        socket.emit('registration_error', { deviceId, error: auth.error });
+        return;
+      }
+
+      console.log(`📝 Registering device with ID: ${deviceId}${auth.enrolled ? ' (newly enrolled)' : ''}`);
+
+      // Devices without protocolVersion/capabilities predate negotiation
+      const negotiated = parseCapabilities(data);
+      if (negotiated.protocolVersion) {
+        console.log(`🤝 ${deviceId} speaks protocol v${negotiated.protocolVersion}, capabilities: ${(negotiated.capabilities || []).join(', ') || 'none'}`);
+      }
+
+      claimDeviceSocket(deviceId, socket);
+      const resumed = resumeDeviceConnection(deviceId);
+      const previous = resumed ? devices.get(deviceId) : null;
 
       devices.set(deviceId, {
         id: deviceId,
-        name: data.deviceName || 'Unknown Device',
-        type: data.deviceType || 'unknown',
+        name: data.deviceName || previous?.name || 'Unknown Device',
+        type: data.deviceType || previous?.type || 'unknown',
         socketId: socket.id,
         status: 'online',
         connectedAt: new Date(),
         lastActivity: Date.now(),
-        ipAddress: data.ipAddress || null
+        ipAddress: data.ipAddress || previous?.ipAddress || null,
+        mirroring: devices.get(deviceId)?.mirroring || null,
+        // Clipboard relay is opt-in; the app re-announces its setting on every registration
+        clipboardSync: typeof data.clipboardSync === 'boolean' ? data.clipboardSync : Boolean(previous?.clipboardSync),
+        ...negotiated
       });
 
-      socket.deviceId = deviceId;
-      
       console.log(`📤 Sending 'registered' response to ${socket.id}`);
-      socket.emit('registered', { deviceId });
+      // deviceSecret is only included on first enrollment; the device must persist it
+      socket.emit('registered', {
+        deviceId,
+        ...(auth.deviceSecret && { deviceSecret: auth.deviceSecret }),
+        ...(resumed && { resumed, pendingRequestIds: pendingRequestIdsForDevice(deviceId) }),
+        protocolVersion: PROTOCOL_VERSION,
+        iceConfig: getIceServers(deviceId)
+      });
+
+      if (resumed) {
+        resyncResumedDevice(deviceId);
+      }
+      deliverQueuedCommands(deviceId);
+      flushDeviceCandidates(deviceId);
 
       console.log(`📱 Device registered: ${deviceId} (${data.deviceName || 'Unknown'})`);
       console.log(`📊 Total devices: ${devices.size}`);
@@ -1393,7 +4320,7 @@ io.on('connection', (socket) => {
       console.error(`❌ Error details:`, {
         message: error.message,
         name: error.name,
-        data: data
+        data: redactSecrets(data)
       });
     }
   });
@@ -1410,46 +4337,397 @@ io.on('connection', (socket) => {
     console.log(`📋 Device list requested by ${socket.id}`);
   });
 
-  // Relay offer
-  socket.on('offer', (data) => {
-    const targetDevice = devices.get(data.targetDeviceId);
-    if (targetDevice) {
-      io.to(targetDevice.socketId).emit('offer', {
-        fromDeviceId: socket.deviceId,
-        sdp: data.sdp
-      });
-      console.log(`📤 Offer relayed from ${socket.deviceId} to ${data.targetDeviceId}`);
-    } else {
-      console.log(`⚠️  Target device not found: ${data.targetDeviceId}`);
+  // Relay offer/answer; the SDP is validated and rewritten by the device's policy
+  ['offer', 'answer'].forEach(eventName => {
+    socket.on(eventName, (data = {}, callback) => {
+      const reply = (response) => {
+        if (typeof callback === 'function') {
+          callback(response);
+        } else if (response.error) {
+          socket.emit('event-rejected', { event: eventName, sessionId: data.sessionId, ...response });
+        }
+      };
+
+      if (data.sessionId) {
+        relaySessionSignal(socket, eventName, data, { sdp: data.sdp }, reply);
+        return;
+      }
+      relayDeviceSignal(socket, eventName, data, reply);
+    });
+  });
+
+  // Relay ICE candidate; candidates that arrive before the peer is ready are held
+  socket.on('ice-candidate', (data = {}, callback) => {
+    const reply = (response) => {
+      if (typeof callback === 'function') {
+        callback(response);
+      } else if (response.error) {
+        socket.emit('ice-candidate-failed', {
+          sessionId: data.sessionId,
+          targetDeviceId: data.targetDeviceId,
+          reason: response.code,
+          count: 1
+        });
+      }
+    };
+
+    // candidate: null (what browsers emit last) or endOfCandidates ends the trickle
+    const entry = data.endOfCandidates || !data.candidate
+      ? { candidate: null, endOfCandidates: true }
+      : { candidate: data.candidate };
+
+    if (data.sessionId) {
+      relaySessionSignal(socket, 'ice-candidate', data, entry, reply);
+      return;
+    }
+    if (!data.targetDeviceId || typeof data.targetDeviceId !== 'string') {
+      reply({ error: 'targetDeviceId or sessionId is required', code: 'invalid' });
+      return;
     }
+    relayDeviceCandidate(socket, data.targetDeviceId, entry, reply);
   });
 
-  // Relay answer
-  socket.on('answer', (data) => {
-    const targetDevice = devices.get(data.targetDeviceId);
-    if (targetDevice) {
-      io.to(targetDevice.socketId).emit('answer', {
-        fromDeviceId: socket.deviceId,
-        sdp: data.sdp
-      });
-      console.log(`📤 Answer relayed from ${socket.deviceId} to ${data.targetDeviceId}`);
+  // Fresh ICE servers (e.g. before TURN credentials expire), authenticated
+  // and rate-limited like /api/ice-servers
+  socket.on('get-ice-servers', (data, callback) => {
+    const reply = typeof data === 'function' ? data : callback;
+    const { iceConfig, ...failure } = issueSocketIceServers(socket);
+    if (typeof reply === 'function') {
+      reply(iceConfig ? { success: true, iceConfig } : failure);
+    } else if (iceConfig) {
+      socket.emit('ice-servers', iceConfig);
     } else {
-      console.log(`⚠️  Target device not found: ${data.targetDeviceId}`);
+      socket.emit('event-rejected', { event: 'get-ice-servers', ...failure });
     }
   });
 
-  // Relay ICE candidate
-  socket.on('ice-candidate', (data) => {
-    const targetDevice = devices.get(data.targetDeviceId);
-    if (targetDevice) {
-      io.to(targetDevice.socketId).emit('ice-candidate', {
-        fromDeviceId: socket.deviceId,
-        candidate: data.candidate
-      });
-      console.log(`🧊 ICE candidate relayed from ${socket.deviceId} to ${data.targetDeviceId}`);
-    } else {
-      console.log(`⚠️  Target device not found: ${data.targetDeviceId}`);
+  // Viewer joins the device's mirroring session (created on demand); the
+  // device's access token is required as for subscribe-device
+  socket.on('join-session', (data = {}) => {
+    const { deviceId, sessionId, quality } = data;
+
+    let session = sessionId ? getSession(sessionId) : getOpenSessionForDevice(deviceId);
+    const targetDeviceId = session ? session.deviceId : deviceId;
+    if (targetDeviceId && !authorizeClientForDevice(socket, targetDeviceId, data.accessToken)) {
+      console.warn(`🔒 ${socket.id} is not authorized to view ${targetDeviceId}`);
+      socket.emit('session-error', { sessionId, deviceId: targetDeviceId, error: 'Not authorized for this device', code: 'forbidden' });
+      return;
+    }
+    if (session && session.state === SESSION_STATES.ENDED) {
+      socket.emit('session-error', { sessionId, error: 'Session has ended' });
+      return;
+    }
+    // The reply carries TURN credentials, minted under the ICE request limit
+    const { iceConfig, ...iceFailure } = issueSocketIceServers(socket);
+    if (!iceConfig) {
+      socket.emit('session-error', { sessionId, deviceId: targetDeviceId, ...iceFailure });
+      return;
+    }
+    if (!session && !sessionId) {
+      const unsupported = getUnsupportedReason(devices.get(deviceId), 'REQUEST_MIRROR', { quality });
+      if (unsupported) {
+        socket.emit('session-error', { deviceId, error: unsupported, code: 'unsupported' });
+        return;
+      }
+      session = startMirroring(deviceId, { quality }).session;
+    }
+    if (!session) {
+      socket.emit('session-error', { sessionId, deviceId, error: 'Session or device not found' });
+      return;
+    }
+
+    const viewerId = socket.deviceId || socket.id;
+    if (viewerId === session.deviceId) {
+      socket.emit('session-error', { sessionId: session.id, error: 'A device cannot view its own session' });
+      return;
+    }
+
+    addViewer(session, viewerId, socket.id);
+    socket.join(sessionRoom(session.id));
+    console.log(`👀 Viewer ${viewerId} joined session ${session.id} (${session.viewers.size} viewer(s))`);
+
+    socket.emit('session-joined', {
+      viewerId,
+      session: serializeSession(session),
+      iceConfig
+    });
+
+    // The device negotiates a separate peer connection per viewer
+    const device = devices.get(session.deviceId);
+    if (device && device.socketId) {
+      emitToSocket(device.socketId, 'viewer-joined', { sessionId: session.id, viewerId });
+    }
+
+    emitSessionUpdate(session);
+  });
+
+  // Viewer leaves a session
+  socket.on('leave-session', (data = {}) => {
+    const session = getSession(data.sessionId);
+    if (!session) {
+      return;
+    }
+    const viewer = findViewerBySocket(session, socket.id);
+    if (viewer) {
+      detachViewer(session, viewer, 'left');
+    }
+  });
+
+  // Mirrored device ends the whole session
+  socket.on('end-session', (data = {}) => {
+    const session = getSession(data.sessionId);
+    if (!session) {
+      return;
+    }
+    if (socket.deviceId !== session.deviceId) {
+      socket.emit('session-error', { sessionId: data.sessionId, error: 'Only the mirrored device can end the session' });
+      return;
+    }
+    finishSession(session, 'ended-by-device');
+  });
+
+  // Mirrored device reports the options it actually applied, or a capture error
+  socket.on('mirror-state', (data = {}) => {
+    const session = getSession(data.sessionId);
+    if (!session || socket.deviceId !== session.deviceId) {
+      socket.emit('session-error', { sessionId: data.sessionId, error: 'Unknown session for this device' });
+      return;
+    }
+
+    if (data.options) {
+      const { options, error } = parseMirrorOptions(data.options);
+      if (error) {
+        socket.emit('session-error', { sessionId: session.id, error });
+        return;
+      }
+      applyMirrorOptions(session, options);
+    }
+    if (data.error) {
+      console.warn(`⚠️  Mirroring error on ${socket.deviceId} (session ${session.id}): ${data.error}`);
+      updateDeviceMirroring(socket.deviceId, { error: String(data.error) });
+    }
+  });
+
+  // Peer reports its connection state for one viewer (e.g. ICE connected)
+  socket.on('session-state-update', (data = {}) => {
+    const { sessionId, state } = data;
+    const session = getSession(sessionId);
+    if (!session) {
+      return;
+    }
+
+    const allowedStates = [SESSION_STATES.NEGOTIATING, SESSION_STATES.ACTIVE, SESSION_STATES.ENDED];
+    if (!allowedStates.includes(state)) {
+      socket.emit('session-error', { sessionId, error: `Invalid state: ${state}` });
+      return;
+    }
+
+    if (socket.deviceId === session.deviceId && commandQueue.ackCommand(session.id, socket.deviceId)) {
+      recordMirrorAck(socket.deviceId, session.id, 'REQUEST_MIRROR');
+    }
+
+    // The device names the viewer; a viewer can only report on itself
+    const viewer = socket.deviceId === session.deviceId
+      ? session.viewers.get(data.viewerId)
+      : findViewerBySocket(session, socket.id);
+    if (!viewer) {
+      return;
+    }
+
+    if (state === SESSION_STATES.ENDED) {
+      detachViewer(session, viewer, 'peer-closed');
+      return;
+    }
+
+    console.log(`🎬 Session ${sessionId}: viewer ${viewer.viewerId} -> ${state}`);
+    setViewerState(session, viewer.viewerId, state);
+    emitSessionUpdate(session);
+  });
+
+  // Mirrored device grants a viewer view-only or control permission
+  socket.on('set-viewer-permission', (data = {}, callback) => {
+    const { sessionId, viewerId, permission } = data;
+    const reply = (response) => {
+      if (typeof callback === 'function') {
+        callback(response);
+      } else if (response.error) {
+        socket.emit('session-error', { sessionId, error: response.error });
+      }
+    };
+
+    const session = getSession(sessionId);
+    if (!session || session.state === SESSION_STATES.ENDED) {
+      reply({ error: 'Session not found or ended' });
+      return;
+    }
+    if (socket.deviceId !== session.deviceId) {
+      reply({ error: 'Only the mirrored device can change viewer permissions' });
+      return;
     }
+    if (!Object.values(VIEWER_PERMISSIONS).includes(permission)) {
+      reply({ error: `permission must be one of ${Object.values(VIEWER_PERMISSIONS).join(', ')}` });
+      return;
+    }
+    const viewer = session.viewers.get(viewerId);
+    if (!viewer) {
+      reply({ error: 'Viewer not found' });
+      return;
+    }
+
+    if (setViewerPermission(session, viewerId, permission)) {
+      console.log(`🎮 Session ${sessionId}: viewer ${viewerId} -> ${permission}`);
+      emitToSocket(viewer.socketId, 'control-permission', { sessionId, viewerId, permission });
+      emitSessionUpdate(session);
+    }
+    reply({ success: true, sessionId, viewerId, permission });
+  });
+
+  // Viewer input for the mirrored device: { sessionId, event } or { sessionId, events: [...] }
+  socket.on('remote-input', (data = {}, callback) => {
+    const { sessionId } = data;
+    const reply = (response) => {
+      if (typeof callback === 'function') {
+        callback(response);
+      } else if (response.error) {
+        socket.emit('input-rejected', { sessionId, ...response });
+      }
+    };
+
+    const session = getSession(sessionId);
+    const viewer = session && session.state !== SESSION_STATES.ENDED ? findViewerBySocket(session, socket.id) : null;
+    if (!viewer) {
+      reply({ error: 'Not a viewer of an open session', code: 'forbidden' });
+      return;
+    }
+    if (viewer.permission !== VIEWER_PERMISSIONS.CONTROL) {
+      reply({ error: 'Viewer has view-only permission', code: 'forbidden' });
+      return;
+    }
+    if (viewer.state !== SESSION_STATES.ACTIVE) {
+      reply({ error: 'Stream is not active yet', code: 'not-active' });
+      return;
+    }
+
+    const { events, error } = remoteInput.parseInputEvents(data);
+    if (error) {
+      reply({ error, code: 'invalid' });
+      return;
+    }
+    if (!remoteInput.consumeInputTokens(inputLimiterKey(session, viewer), events.length)) {
+      reply({ error: 'Too many input events, slow down', code: 'rate-limited' });
+      return;
+    }
+
+    const device = devices.get(session.deviceId);
+    if (!device || !device.socketId) {
+      reply({ error: 'Device not connected', code: 'device-offline' });
+      return;
+    }
+    const unsupported = getUnsupportedReason(device, 'remote-input');
+    if (unsupported) {
+      reply({ error: unsupported, code: 'unsupported' });
+      return;
+    }
+
+    emitToSocket(device.socketId, 'remote-input', { sessionId, viewerId: viewer.viewerId, events });
+    reply({ success: true, accepted: events.length });
+  });
+
+  // Client pushes to a device's clipboard: { deviceId, accessToken? | sessionId, mimeType, data }
+  socket.on('clipboard-push', async (data = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const target = resolveClipboardTarget(socket, data);
+    if (target.error) {
+      reply({ error: target.error, code: target.code });
+      return;
+    }
+    const blocker = getClipboardBlocker(devices.get(target.deviceId), 'clipboard-push');
+    if (blocker) {
+      reply({ error: blocker.error, code: blocker.code });
+      return;
+    }
+    const { clip, error } = clipboardRelay.parseClipboard(data);
+    if (error) {
+      reply({ error, code: 'invalid' });
+      return;
+    }
+
+    try {
+      const result = await pushClipboard(target.deviceId, clip, target.from);
+      reply({ success: true, deviceId: target.deviceId, size: clip.size, acknowledged: Boolean(result) });
+    } catch (err) {
+      reply({ error: err.message, code: err.code });
+    }
+  });
+
+  // Client reads a device's clipboard: { deviceId, accessToken? | sessionId }
+  socket.on('clipboard-pull', async (data = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const target = resolveClipboardTarget(socket, data);
+    if (target.error) {
+      reply({ error: target.error, code: target.code });
+      return;
+    }
+    const blocker = getClipboardBlocker(devices.get(target.deviceId), 'clipboard-pull-request');
+    if (blocker) {
+      reply({ error: blocker.error, code: blocker.code });
+      return;
+    }
+
+    try {
+      const clip = await pullClipboard(target.deviceId);
+      reply({ success: true, deviceId: target.deviceId, clipboard: clip });
+    } catch (err) {
+      reply({ error: err.message, code: err.code });
+    }
+  });
+
+  // Device turns the clipboard relay on or off
+  socket.on('clipboard-settings', (data = {}) => {
+    const device = socket.deviceId && devices.get(socket.deviceId);
+    if (!device || typeof data.enabled !== 'boolean') {
+      return;
+    }
+    device.clipboardSync = data.enabled;
+    console.log(`📋 Clipboard sync ${data.enabled ? 'enabled' : 'disabled'} on ${socket.deviceId}`);
+    broadcastDeviceList();
+  });
+
+  // Device's own clipboard changed: share it with its authorized subscribers and control viewers
+  socket.on('clipboard-update', (data = {}) => {
+    const device = socket.deviceId && devices.get(socket.deviceId);
+    if (!device || !device.clipboardSync) {
+      return;
+    }
+    const { clip, error } = clipboardRelay.parseClipboard(data);
+    if (error) {
+      console.warn(`⚠️ Ignoring clipboard update from ${socket.deviceId}: ${error}`);
+      return;
+    }
+
+    // View-only viewers share the session room, so control viewers are addressed by socket
+    const rooms = listSessions({ deviceId: device.id, includeEnded: false })
+      .flatMap(session => Array.from(session.viewers.values()))
+      .filter(viewer => viewer.permission === VIEWER_PERMISSIONS.CONTROL && viewer.socketId)
+      .map(viewer => viewer.socketId);
+    eventDelivery.deliver(io, 'clipboard-update', {
+      deviceId: device.id,
+      ...clip,
+      timestamp: Date.now()
+    }, { deviceId: device.id, rooms });
+    console.log(`📋 Clipboard update from ${device.id}: ${clip.mimeType}, ${clip.size} bytes`);
+  });
+
+  // Screenshot from devices without acks: { requestId, mimeType, data, width, height } or { requestId, uploadId }
+  socket.on('screenshot-response', (data = {}) => {
+    const { requestId, error, ...response } = data;
+    deviceRpc.settle(requestId, socket.deviceId, error, response);
+  });
+
+  // Clipboard contents from devices without acks
+  socket.on('clipboard-pull-response', (data = {}) => {
+    const { requestId, error, ...clipboard } = data;
+    deviceRpc.settle(requestId, socket.deviceId, error, clipboard);
   });
 
   // Handle keep-alive ping (prevents Render.com free tier from sleeping)
@@ -1466,107 +4744,238 @@ io.on('connection', (socket) => {
     const { requestId, files, hasMore, totalCount, error } = data;
     console.log(`📂 Received file list response: requestId=${requestId}, files=${files?.length || 0}, hasMore=${hasMore}, totalCount=${totalCount}, error=${error || 'none'}`);
 
-    // Resolve pending request if exists
-    const pendingRequest = pendingRequests.get(requestId);
-    if (pendingRequest) {
-      if (error) {
-        pendingRequest.reject(new Error(error));
-      } else {
-        pendingRequest.resolve({ files, hasMore, totalCount });
-      }
-      pendingRequests.delete(requestId);
+    // Settle the pending call (devices without RPC acks answer with this event)
+    const call = deviceRpc.getCall(requestId);
+    if (call && call.deviceId !== socket.deviceId) {
+      console.warn(`⚠️ Ignoring ftp-list-response for requestId=${requestId} from ${socket.deviceId} (expected ${call.deviceId})`);
+      return;
     }
+    deviceRpc.settle(requestId, socket.deviceId, error, { files, hasMore, totalCount });
 
-    // Also emit to all connected web clients for real-time updates
-    io.emit('ftp-list-response', {
+    // Real-time updates for clients subscribed to this device
+    eventDelivery.deliver(io, 'ftp-list-response', {
       requestId,
       deviceId: socket.deviceId,
       files,
       hasMore,
       totalCount,
       error
-    });
+    }, { ids: [requestId], deviceId: socket.deviceId, requesterOnly: true });
+  });
+
+  // Device reports file metadata before streaming (size enables Range/Content-Length)
+  socket.on('ftp-download-start', (data) => {
+    const { requestId, fileSize } = data;
+    const pendingRequest = pendingRequests.get(requestId);
+    if (!pendingRequest || pendingRequest.deviceId !== socket.deviceId) {
+      console.warn(`⚠️ Received download start for unknown requestId=${requestId}`);
+      return;
+    }
+    console.log(`📏 Download start: requestId=${requestId}, fileSize=${fileSize}`);
+    deviceRpc.settle(requestId, socket.deviceId, null, { fileSize });
+    if (pendingRequest.response) {
+      beginDownloadResponse(requestId, pendingRequest, fileSize);
+    }
   });
 
   // Handle file download response from device (chunked streaming)
   socket.on('ftp-download-chunk', (data) => {
-    const { requestId, chunk, isLast, error } = data;
+    const { requestId, chunk, isLast, error, fileSize, checksum } = data;
     console.log(`📥 Received file chunk: requestId=${requestId}, size=${chunk?.length || 0}, isLast=${isLast}`);
 
     // Get pending request
     const pendingRequest = pendingRequests.get(requestId);
-    if (pendingRequest) {
-      const { response, timeoutId, startTime } = pendingRequest;
+    if (!pendingRequest || !(pendingRequest.response || pendingRequest.sink)) {
+      console.warn(`⚠️ Received chunk for unknown requestId=${requestId}`);
+      return;
+    }
+
+    if (pendingRequest.deviceId !== socket.deviceId) {
+      console.warn(`⚠️ Ignoring chunk for requestId=${requestId} from ${socket.deviceId || socket.id} (expected ${pendingRequest.deviceId})`);
+      return;
+    }
+
+    // Streaming means the device accepted the request
+    deviceRpc.settle(requestId, socket.deviceId, error, { fileSize });
+
+    // File requested as part of a ZIP archive
+    if (pendingRequest.sink) {
+      handleArchiveChunk(requestId, pendingRequest, data);
+      return;
+    }
+
+    const { response, timeoutId, startTime } = pendingRequest;
+
+    if (error) {
+      // Handle error
+      console.error(`❌ Download error for requestId=${requestId}: ${error}`);
+      clearTimeout(timeoutId);
+      pendingRequests.delete(requestId);
+      if (!response.headersSent) {
+        response.status(500).json({ error });
+      } else {
+        // Abort so the client sees a failed transfer, not a short file
+        response.destroy();
+      }
+      return;
+    }
+
+    if (!pendingRequest.started && !beginDownloadResponse(requestId, pendingRequest, fileSize)) {
+      return;
+    }
+
+    // Stream chunk directly to client (no buffering). Binary payloads arrive
+    // as Buffers; legacy devices send base64 strings.
+    if (chunk) {
+      let buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'base64');
+      pendingRequest.hash.update(buffer);
+
+      // Never write past the advertised Content-Length
+      if (pendingRequest.expectedBytes !== null) {
+        const remaining = pendingRequest.expectedBytes - pendingRequest.bytesSent;
+        if (buffer.length > remaining) {
+          buffer = buffer.subarray(0, Math.max(remaining, 0));
+        }
+      }
+
+      const flushed = response.write(buffer);
+      pendingRequest.bytesSent += buffer.length;
+
+      // Device ignored length and kept streaming: the range is complete
+      if (!isLast && pendingRequest.expectedBytes !== null &&
+          pendingRequest.bytesSent >= pendingRequest.expectedBytes) {
+        clearTimeout(timeoutId);
+        pendingRequests.delete(requestId);
+        response.end();
+        deviceRpc.cancel(requestId, { deviceId: socket.deviceId, cancelEvent: 'ftp-download-cancel' });
+        console.log(`✅ Range completed for requestId=${requestId}: ${pendingRequest.bytesSent} bytes`);
+        return;
+      }
+
+      if (!isLast) {
+        if (flushed) {
+          grantDownloadCredits(requestId, 1);
+        } else {
+          pendingRequest.owedCredits++;
+        }
+      }
+    }
+
+    // If this is the last chunk, end the response
+    if (isLast) {
+      clearTimeout(timeoutId);
+      pendingRequests.delete(requestId);
+
+      if (pendingRequest.expectedBytes !== null && pendingRequest.bytesSent < pendingRequest.expectedBytes) {
+        // Short body: abort so the client sees a failed (resumable) transfer
+        console.error(`❌ Download truncated for requestId=${requestId}: ${pendingRequest.bytesSent}/${pendingRequest.expectedBytes} bytes`);
+        response.destroy();
+        return;
+      }
+
+      // Corrupted in transit: abort so the client doesn't keep a bad file
+      if (verifyTransferChecksum(requestId, pendingRequest, checksum) === false) {
+        response.destroy();
+        return;
+      }
+      response.end();
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.log(`✅ Download completed for requestId=${requestId}: ${pendingRequest.bytesSent} bytes in ${duration}s`);
+    }
+  });
+
+  // Handle file management responses from device (delete, rename, mkdir, push)
+  ['ftp-delete-response', 'ftp-rename-response', 'ftp-mkdir-response', 'ftp-push-response'].forEach((eventName) => {
+    socket.on(eventName, (data = {}) => {
+      const { requestId, error, ...result } = data;
+      console.log(`📂 Received ${eventName}: requestId=${requestId}, error=${error || 'none'}`);
+
+      if (deviceRpc.settle(requestId, socket.deviceId, error, result)) {
+        return;
+      }
+
+      // Pushes keep their stream state in pendingRequests
+      const pendingRequest = pendingRequests.get(requestId);
+      if (!pendingRequest || pendingRequest.deviceId !== socket.deviceId) {
+        console.warn(`⚠️ ${eventName} for unknown requestId=${requestId}`);
+        return;
+      }
 
+      pendingRequests.delete(requestId);
       if (error) {
-        // Handle error
-        console.error(`❌ Download error for requestId=${requestId}: ${error}`);
-        clearTimeout(timeoutId);
-        pendingRequests.delete(requestId);
-        if (!response.headersSent) {
-          response.status(500).json({ error });
-        } else {
-          response.end();
-        }
+        pendingRequest.reject(new Error(error));
       } else {
-        // Stream chunk directly to client (no buffering)
-        if (chunk) {
-          const buffer = Buffer.from(chunk, 'base64');
-          response.write(buffer);
-          console.log(`✍️ Streamed ${buffer.length} bytes for requestId=${requestId}`);
-        }
-
-        // If this is the last chunk, end the response
-        if (isLast) {
-          response.end();
-          clearTimeout(timeoutId);
-          pendingRequests.delete(requestId);
-
-          const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-          console.log(`✅ Download completed for requestId=${requestId} in ${duration}s`);
-        }
+        pendingRequest.resolve(result);
       }
-    } else {
-      console.warn(`⚠️ Received chunk for unknown requestId=${requestId}`);
+    });
+  });
+
+  // Device is ready for more pushed chunks
+  socket.on('ftp-push-credit', (data = {}) => {
+    const { requestId, credits } = data;
+    const pendingRequest = pendingRequests.get(requestId);
+    if (!pendingRequest || !pendingRequest.push || pendingRequest.deviceId !== socket.deviceId) {
+      return;
     }
 
-    // Also emit to all connected web clients for real-time updates
-    io.emit('ftp-download-chunk', {
-      requestId,
-      deviceId: socket.deviceId,
-      chunk,
-      isLast,
-      error
-    });
+    pendingRequest.push.credits += Math.max(parseInt(credits, 10) || 0, 0);
+    pumpPush(requestId);
   });
 
   // Handle VPS upload response from device
   socket.on('vps-upload-response', (data) => {
     const { requestId, downloadUrl, error } = data;
     console.log(`📤 Received VPS upload response: requestId=${requestId}, downloadUrl=${downloadUrl}, error=${error}`);
+    if (!isResponseFromTargetDevice(socket, requestId, 'vps-upload-response')) {
+      return;
+    }
+    commandQueue.ackCommand(requestId, socket.deviceId, error);
 
-    // Emit to all connected web clients
-    io.emit('vps-upload-response', {
+    // Deliver to the requesting client and the device's subscribers
+    eventDelivery.deliver(io, 'vps-upload-response', {
       requestId,
       deviceId: socket.deviceId,
       downloadUrl,
       error
-    });
+    }, { ids: [requestId], deviceId: socket.deviceId });
+    if (error || downloadUrl) {
+      eventDelivery.forgetOrigin(requestId);
+    }
   });
 
   // Handle TUS upload progress from device
   socket.on('ftp-upload-progress', (data) => {
-    const { uploadId, bytesUploaded, totalBytes, percentage } = data;
+    const { uploadId, requestId, bytesUploaded, totalBytes, percentage } = data;
     console.log(`📊 Upload progress: uploadId=${uploadId}, ${percentage}% (${bytesUploaded}/${totalBytes} bytes)`);
 
-    // Broadcast to all connected web clients
-    io.emit('ftp-upload-progress', {
+    // Devices that report the vps-upload requestId tie the upload to its requester
+    const origin = eventDelivery.getOrigin(requestId);
+    if (origin && origin.deviceId === socket.deviceId) {
+      eventDelivery.linkOrigin(uploadId, requestId);
+    }
+    const uploadOrigin = eventDelivery.getOrigin(uploadId);
+    if (uploadOrigin && uploadOrigin.deviceId !== socket.deviceId) {
+      console.warn(`⚠️ Ignoring upload progress for uploadId=${uploadId} from ${socket.deviceId} (expected ${uploadOrigin.deviceId})`);
+      return;
+    }
+
+    eventDelivery.deliver(io, 'ftp-upload-progress', {
       uploadId,
+      requestId,
       deviceId: socket.deviceId,
       bytesUploaded,
       totalBytes,
       percentage
-    });
+    }, { ids: [requestId, uploadId], deviceId: socket.deviceId });
+  });
+
+  // Device confirms it received a queued/queueable command
+  socket.on('command-ack', (data = {}) => {
+    const { requestId, error } = data;
+    if (commandQueue.ackCommand(requestId, socket.deviceId, error)) {
+      console.log(`📬 Command ${requestId} acknowledged by ${socket.deviceId}`);
+    }
   });
 
   // Handle file browse request from web client
@@ -1574,47 +4983,97 @@ io.on('connection', (socket) => {
     const { requestId, deviceId, path } = data;
     console.log(`📁 Browse files request: deviceId=${deviceId}, path=${path}, requestId=${requestId}`);
 
+    if (!requestId || deviceRpc.getCall(requestId)) {
+      socket.emit('browse-files-response', { requestId, error: 'A unique requestId is required' });
+      return;
+    }
+
+    if (!authorizeClientForDevice(socket, deviceId, data.accessToken)) {
+      socket.emit('browse-files-response', { requestId, error: 'Not authorized for this device', code: 'forbidden' });
+      return;
+    }
+
     const device = devices.get(deviceId);
     if (!device) {
-      socket.emit('browse-files-response', {
-        requestId,
-        error: 'Device not found'
-      });
+      socket.emit('browse-files-response', { requestId, error: 'Device not found' });
       return;
     }
 
-    // Forward request to Android device
-    io.to(device.socketId).emit('browse-files-request', {
-      requestId,
-      path
-    });
+    eventDelivery.trackOrigin(requestId, socket.id, deviceId);
+
+    // Deliver the result (or typed error) to the client that asked, and the device's subscribers
+    const respond = (payload) => {
+      eventDelivery.deliver(io, 'browse-files-response', { requestId, deviceId, ...payload }, { ids: [requestId], deviceId, requesterOnly: true });
+      eventDelivery.forgetOrigin(requestId);
+    };
+
+    deviceRpc.call(deviceId, 'browse-files-request', { path }, { requestId, retries: 1 })
+      .then(({ files }) => respond({ files }))
+      .catch(err => respond({ error: err.message, code: err.code }));
   });
 
-  // Handle file browse response from device
+  // Browse response from devices without RPC acks
   socket.on('browse-files-response', (data) => {
     const { requestId, files, error } = data;
     console.log(`📁 Received browse files response: requestId=${requestId}, files=${files?.length || 0}, error=${error}`);
+    deviceRpc.settle(requestId, socket.deviceId, error, { files });
+  });
 
-    // Emit to all connected web clients
-    io.emit('browse-files-response', {
-      requestId,
-      deviceId: socket.deviceId,
-      files,
-      error
-    });
+  // Clients opt in to a device's responses and upload progress: { deviceId, accessToken }
+  socket.on('subscribe-device', (data = {}, callback) => {
+    const { deviceId } = data;
+    if (!deviceId || typeof deviceId !== 'string') {
+      if (typeof callback === 'function') {
+        callback({ error: 'deviceId is required' });
+      }
+      return;
+    }
+    if (!authorizeClientForDevice(socket, deviceId, data.accessToken)) {
+      console.warn(`🔒 ${socket.id} is not authorized to subscribe to ${deviceId}`);
+      if (typeof callback === 'function') {
+        callback({ error: 'Not authorized for this device', code: 'forbidden' });
+      }
+      return;
+    }
+    socket.join(eventDelivery.deviceRoom(deviceId));
+    console.log(`🔔 ${socket.id} subscribed to device ${deviceId}`);
+    if (typeof callback === 'function') {
+      callback({ success: true, deviceId });
+    }
+  });
+
+  socket.on('unsubscribe-device', (data = {}, callback) => {
+    const { deviceId } = data;
+    if (deviceId) {
+      socket.leave(eventDelivery.deviceRoom(deviceId));
+    }
+    if (typeof callback === 'function') {
+      callback({ success: true, deviceId });
+    }
   });
 
   // Handle disconnect
   socket.on('disconnect', (reason) => {
     console.log(`❌ Client disconnected: ${socket.id}`);
     console.log(`   Reason: ${reason}`);
-    
+
+    eventDelivery.forgetSocket(socket.id);
+
+    // Drop this socket from any session it was viewing
+    for (const session of listSessions({ includeEnded: false })) {
+      const viewer = findViewerBySocket(session, socket.id);
+      if (viewer) {
+        detachViewer(session, viewer, 'viewer-disconnected');
+      }
+    }
+
     if (socket.deviceId) {
       const device = devices.get(socket.deviceId);
       if (device) {
         console.log(`❌ Device disconnected: ${socket.deviceId} (${device.name})`);
       }
-      devices.delete(socket.deviceId);
+      // Keep the device, its sessions and pending requests during the grace period
+      markDeviceReconnecting(socket.deviceId);
       console.log(`📊 Remaining devices: ${devices.size}`);
       broadcastDeviceList();
     } else {
@@ -1631,7 +5090,7 @@ io.on('connection', (socket) => {
       stack: error.stack
     });
   });
-});
+}
 
 function broadcastDeviceList() {
   const deviceList = Array.from(devices.values()).map(d => ({
@@ -1651,27 +5110,568 @@ function broadcastDeviceList() {
   }
   
   io.emit('devices', { devices: deviceList });
+  clientNamespace.emit('devices', { devices: deviceList });
   console.log(`📢 Device list broadcasted to all clients`);
 }
 
+// Re-send open session state to a device that reconnected within its grace period
+function resyncResumedDevice(deviceId) {
+  console.log(`🔄 Device ${deviceId} resumed within grace period`);
+  for (const session of listSessions({ deviceId, includeEnded: false })) {
+    emitSessionUpdate(session);
+  }
+
+  // Return download credits that were withheld while the device was away
+  for (const [requestId, request] of pendingRequests.entries()) {
+    if (request.deviceId === deviceId && request.response && request.owedCredits > 0 &&
+        !request.response.writableNeedDrain) {
+      const credits = request.owedCredits;
+      request.owedCredits = 0;
+      grantDownloadCredits(requestId, credits);
+    }
+    // Pushed data that waited for the device goes out now
+    if (request.deviceId === deviceId && request.push) {
+      pumpPush(requestId);
+    }
+  }
+}
+
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+/**
+ * Authorize a client socket for a device (see authorizeDeviceAccess). The
+ * grant lasts for the connection, so the token is only needed once.
+ *
+ * @param {object} socket - Client socket
+ * @param {string} deviceId
+ * @param {string} [accessToken] - Device access token or admin token
+ * @returns {boolean}
+ */
+function authorizeClientForDevice(socket, deviceId, accessToken) {
+  if (!socket.data.deviceAccess) {
+    socket.data.deviceAccess = new Set();
+  }
+  if (socket.data.deviceAccess.has(deviceId)) {
+    return true;
+  }
+  if (!authorizeDeviceAccess(deviceId, accessToken)) {
+    return false;
+  }
+  socket.data.deviceAccess.add(deviceId);
+  return true;
+}
+
+// Drop every client's grant for a device (token rotated or device revoked)
+function revokeClientAccess(deviceId) {
+  const room = eventDelivery.deviceRoom(deviceId);
+  for (const name of eventDelivery.CLIENT_NAMESPACES) {
+    for (const clientSocket of io.of(name).sockets.values()) {
+      if (clientSocket.data.deviceAccess) {
+        clientSocket.data.deviceAccess.delete(deviceId);
+      }
+    }
+    io.of(name).in(room).socketsLeave(room);
+  }
+}
+
+/**
+ * Device a clipboard request is for. Session viewers reach their session's
+ * device with a control grant; dashboards name the device and must be
+ * authorized for it (see authorizeClientForDevice).
+ *
+ * @returns {{ deviceId?: string, from?: string, error?: string, code?: string }}
+ */
+function resolveClipboardTarget(socket, data) {
+  if (data.sessionId) {
+    const session = getSession(data.sessionId);
+    const viewer = session && session.state !== SESSION_STATES.ENDED ? findViewerBySocket(session, socket.id) : null;
+    if (!viewer) {
+      return { error: 'Not a viewer of an open session', code: 'forbidden' };
+    }
+    if (viewer.permission !== VIEWER_PERMISSIONS.CONTROL) {
+      return { error: 'Viewer has view-only permission', code: 'forbidden' };
+    }
+    return { deviceId: session.deviceId, from: viewer.viewerId };
+  }
+
+  if (!data.deviceId || typeof data.deviceId !== 'string') {
+    return { error: 'deviceId or sessionId is required', code: 'invalid' };
+  }
+  if (!authorizeClientForDevice(socket, data.deviceId, data.accessToken)) {
+    return { error: 'Not authorized for this device', code: 'forbidden' };
+  }
+  return { deviceId: data.deviceId, from: socket.deviceId || socket.id };
+}
+
+function inputLimiterKey(session, viewer) {
+  return `${session.id}:${viewer.viewerId}`;
+}
+
+// Notify the session's viewers (room) and the mirrored device of a state change
+function emitSessionUpdate(session) {
+  const payload = { session: serializeSession(session) };
+  emitToRoom(sessionRoom(session.id), 'session-state', payload);
+
+  const device = devices.get(session.deviceId);
+  if (device && device.socketId) {
+    emitToSocket(device.socketId, 'session-state', payload);
+  }
+
+  if (device && device.mirroring && device.mirroring.sessionId === session.id &&
+      device.mirroring.state !== session.state) {
+    updateDeviceMirroring(session.deviceId, { state: session.state, endReason: session.endReason });
+  }
+}
+
+// Remove a viewer; the session ends once its last viewer is gone
+function detachViewer(session, viewer, reason) {
+  const viewerSocket = getSocket(viewer.socketId);
+  if (viewerSocket) {
+    viewerSocket.leave(sessionRoom(session.id));
+  }
+
+  removeViewer(session, viewer.viewerId);
+  remoteInput.forgetInputLimiter(inputLimiterKey(session, viewer));
+  failSessionCandidates(session, viewer, iceBuffer.DELIVERY_FAILURES.PEER_GONE);
+  console.log(`👋 Viewer ${viewer.viewerId} left session ${session.id} (${reason})`);
+
+  const device = devices.get(session.deviceId);
+  if (device && device.socketId) {
+    emitToSocket(device.socketId, 'viewer-left', { sessionId: session.id, viewerId: viewer.viewerId, reason });
+  }
+
+  if (session.viewers.size === 0) {
+    finishSession(session, 'no-viewers');
+  } else {
+    emitSessionUpdate(session);
+  }
+}
+
+function finishSession(session, reason) {
+  if (!endSession(session, reason)) {
+    return;
+  }
+  for (const viewer of session.viewers.values()) {
+    remoteInput.forgetInputLimiter(inputLimiterKey(session, viewer));
+    failSessionCandidates(session, viewer, iceBuffer.DELIVERY_FAILURES.SESSION_ENDED);
+  }
+  console.log(`🛑 Session ${session.id} ended (${reason})`);
+  emitSessionUpdate(session);
+  SOCKET_NAMESPACES.forEach(namespace => namespace.in(sessionRoom(session.id)).socketsLeave(sessionRoom(session.id)));
+}
+
+// Route a session-scoped offer/answer/candidate between the device and one viewer
+function relaySessionSignal(socket, eventName, data, payload, reply = () => {}) {
+  const session = getSession(data.sessionId);
+  if (!session || session.state === SESSION_STATES.ENDED) {
+    console.log(`⚠️  ${eventName} for unknown or ended session: ${data.sessionId}`);
+    reply({ error: 'Unknown or ended session', code: 'not-found' });
+    return;
+  }
+
+  let viewer;
+  const toDevice = !(socket.deviceId && socket.deviceId === session.deviceId);
+  if (!toDevice) {
+    // The device signalling in the session implies it got REQUEST_MIRROR
+    if (commandQueue.ackCommand(session.id, socket.deviceId)) {
+      recordMirrorAck(socket.deviceId, session.id, 'REQUEST_MIRROR');
+    }
+    viewer = session.viewers.get(data.viewerId || data.targetDeviceId);
+  } else {
+    viewer = findViewerBySocket(session, socket.id);
+  }
+
+  if (!viewer) {
+    console.log(`⚠️  ${eventName} in session ${session.id} has no route (sender ${socket.deviceId || socket.id})`);
+    reply({ error: 'No peer to relay to', code: 'no-route' });
+    return;
+  }
+
+  const checked = sdpPolicy.sanitizeSignal(eventName, payload, sdpPolicy.getDevicePolicy(session.deviceId));
+  if (checked.error) {
+    console.log(`🚫 ${eventName} in session ${session.id} rejected: ${checked.error}`);
+    reply({ error: checked.error, code: checked.code });
+    return;
+  }
+  if (checked.dropped) {
+    reply({ success: true, filtered: true });
+    return;
+  }
+
+  const signal = { fromDeviceId: socket.deviceId, sessionId: session.id, viewerId: viewer.viewerId, ...checked.payload };
+  if (eventName === 'ice-candidate') {
+    relaySessionCandidate(socket, session, viewer, toDevice, signal, reply);
+    return;
+  }
+
+  const targetSocketId = sessionSignalTarget(session, viewer, toDevice);
+  if (!targetSocketId) {
+    console.log(`⚠️  ${eventName} in session ${session.id} has no route (sender ${socket.deviceId || socket.id})`);
+    reply({ error: 'No peer to relay to', code: 'no-route' });
+    return;
+  }
+
+  emitToSocket(targetSocketId, eventName, signal);
+  reply({ success: true });
+
+  if (viewer.state === SESSION_STATES.REQUESTED) {
+    setViewerState(session, viewer.viewerId, SESSION_STATES.NEGOTIATING);
+    emitSessionUpdate(session);
+  }
+
+  console.log(`📤 ${eventName} relayed in session ${session.id} (viewer ${viewer.viewerId})`);
+
+  // Candidates that raced ahead of the offer can follow it now
+  const flushed = flushSessionCandidates(session, viewer);
+  if (flushed > 0) {
+    console.log(`🧊 Flushed ${flushed} held ICE candidate(s) in session ${session.id} (viewer ${viewer.viewerId})`);
+  }
+}
+
+// Socket a session signal goes to; null while the device is reconnecting
+function sessionSignalTarget(session, viewer, toDevice) {
+  if (!toDevice) {
+    return viewer.socketId;
+  }
+  const device = devices.get(session.deviceId);
+  return (device && device.socketId) || null;
+}
+
+function sessionCandidateRoute(session, viewer, toDevice) {
+  return `session:${session.id}:${viewer.viewerId}:${toDevice ? 'device' : 'viewer'}`;
+}
+
+// Candidates are held until the viewer's offer has been relayed and the target is connected
+function relaySessionCandidate(socket, session, viewer, toDevice, signal, reply) {
+  const route = sessionCandidateRoute(session, viewer, toDevice);
+  const { held, error } = iceBuffer.holdCandidate(route, {
+    senderSocketId: socket.id,
+    context: { sessionId: session.id, viewerId: viewer.viewerId },
+    entry: signal
+  }, buffer => notifyCandidatesFailed(buffer, iceBuffer.DELIVERY_FAILURES.TIMEOUT));
+
+  if (error) {
+    console.log(`⚠️  ICE candidate dropped in session ${session.id}: ${error}`);
+    reply({ error: iceBuffer.HOLD_ERROR_MESSAGES[error], code: error });
+    return;
+  }
+
+  flushSessionCandidates(session, viewer);
+  const buffered = iceBuffer.hasHeldCandidates(route);
+  if (buffered) {
+    console.log(`🧊 ICE candidate held in session ${session.id} (viewer ${viewer.viewerId}, ${held} waiting)`);
+  } else {
+    console.log(`🧊 ICE candidate relayed in session ${session.id} (viewer ${viewer.viewerId})`);
+  }
+  reply({ success: true, buffered });
+}
+
+/**
+ * Deliver the candidates held for a viewer's pair, in arrival order.
+ *
+ * Nothing moves before the pair's offer has been relayed (viewer no longer
+ * 'requested'); each direction waits for its target to be connected.
+ *
+ * @returns {number} - Candidates delivered
+ */
+function flushSessionCandidates(session, viewer) {
+  if (viewer.state === SESSION_STATES.REQUESTED) {
+    return 0;
+  }
+
+  let delivered = 0;
+  for (const toDevice of [true, false]) {
+    const targetSocketId = sessionSignalTarget(session, viewer, toDevice);
+    const buffer = targetSocketId && iceBuffer.takeCandidates(sessionCandidateRoute(session, viewer, toDevice));
+    if (!buffer) {
+      continue;
+    }
+    buffer.entries.forEach(entry => emitToSocket(targetSocketId, 'ice-candidate', entry));
+    delivered += buffer.entries.length;
+  }
+  return delivered;
+}
+
+// The viewer's pair is gone: its held candidates will never be delivered
+function failSessionCandidates(session, viewer, reason) {
+  for (const toDevice of [true, false]) {
+    const buffer = iceBuffer.takeCandidates(sessionCandidateRoute(session, viewer, toDevice));
+    if (buffer) {
+      notifyCandidatesFailed(buffer, reason);
+    }
+  }
+}
+
+// Device-to-device offer/answer (no session), checked against both devices' policies
+function relayDeviceSignal(socket, eventName, data, reply) {
+  const targetDevice = devices.get(data.targetDeviceId);
+  if (!targetDevice || !targetDevice.socketId) {
+    console.log(`⚠️  Target device not found: ${data.targetDeviceId}`);
+    reply({ error: 'Target device not found', code: 'no-route' });
+    return;
+  }
+
+  const checked = sdpPolicy.sanitizeSignal(eventName, { sdp: data.sdp }, sdpPolicy.getPairPolicy(socket.deviceId, targetDevice.id));
+  if (checked.error) {
+    console.log(`🚫 ${eventName} from ${socket.deviceId} to ${targetDevice.id} rejected: ${checked.error}`);
+    reply({ error: checked.error, code: checked.code });
+    return;
+  }
+
+  emitToSocket(targetDevice.socketId, eventName, { fromDeviceId: socket.deviceId, ...checked.payload });
+  console.log(`📤 ${eventName === 'offer' ? 'Offer' : 'Answer'} relayed from ${socket.deviceId} to ${targetDevice.id}`);
+  reply({ success: true });
+}
+
+// Device-to-device relay (no session): held until the target device registers,
+// so only for devices that are connected or enrolled
+function relayDeviceCandidate(socket, targetDeviceId, candidateEntry, reply) {
+  if (!devices.has(targetDeviceId) && !isEnrolled(targetDeviceId)) {
+    console.log(`⚠️  Target device not found: ${targetDeviceId}`);
+    reply({ error: 'Target device not found', code: 'no-route' });
+    return;
+  }
+  const checked = sdpPolicy.sanitizeSignal('ice-candidate', candidateEntry, sdpPolicy.getPairPolicy(socket.deviceId, targetDeviceId));
+  if (checked.error) {
+    reply({ error: checked.error, code: checked.code });
+    return;
+  }
+  if (checked.dropped) {
+    reply({ success: true, filtered: true });
+    return;
+  }
+
+  const entry = checked.payload;
+  const route = `device:${targetDeviceId}>${socket.deviceId || socket.id}`;
+  const { held, error } = iceBuffer.holdCandidate(route, {
+    senderSocketId: socket.id,
+    context: { targetDeviceId },
+    entry: { fromDeviceId: socket.deviceId, ...entry }
+  }, buffer => notifyCandidatesFailed(buffer, iceBuffer.DELIVERY_FAILURES.TIMEOUT));
+
+  if (error) {
+    console.log(`⚠️  ICE candidate for ${targetDeviceId} dropped: ${error}`);
+    reply({ error: iceBuffer.HOLD_ERROR_MESSAGES[error], code: error });
+    return;
+  }
+
+  flushDeviceCandidates(targetDeviceId);
+  const buffered = iceBuffer.hasHeldCandidates(route);
+  if (buffered) {
+    console.log(`🧊 ICE candidate from ${socket.deviceId} held until ${targetDeviceId} connects (${held} waiting)`);
+  } else {
+    console.log(`🧊 ICE candidate relayed from ${socket.deviceId} to ${targetDeviceId}`);
+  }
+  reply({ success: true, buffered });
+}
+
+/**
+ * Deliver everything held for a device that is now connected: candidates
+ * sent to it directly and those of its open sessions.
+ *
+ * @returns {number} - Candidates delivered
+ */
+function flushDeviceCandidates(deviceId) {
+  const device = devices.get(deviceId);
+  if (!device || !device.socketId) {
+    return 0;
+  }
+
+  let delivered = 0;
+  for (const route of iceBuffer.heldRoutes(`device:${deviceId}>`)) {
+    const buffer = iceBuffer.takeCandidates(route);
+    buffer.entries.forEach(entry => emitToSocket(device.socketId, 'ice-candidate', entry));
+    delivered += buffer.entries.length;
+  }
+  for (const session of listSessions({ deviceId, includeEnded: false })) {
+    for (const viewer of session.viewers.values()) {
+      delivered += flushSessionCandidates(session, viewer);
+    }
+  }
+
+  if (delivered > 0) {
+    console.log(`🧊 Delivered ${delivered} held ICE candidate(s) for ${deviceId}`);
+  }
+  return delivered;
+}
+
+// Tell the sender its held candidates were given up on
+function notifyCandidatesFailed(buffer, reason) {
+  const count = buffer.entries.length;
+  const { sessionId, targetDeviceId } = buffer.context;
+  console.log(`⚠️  ${count} held ICE candidate(s) not delivered (${reason}) for ${sessionId ? `session ${sessionId}` : targetDeviceId}`);
+  emitToSocket(buffer.senderSocketId, 'ice-candidate-failed', { ...buffer.context, reason, count });
+}
+
 /**
  * Remote trigger function to start mirroring on a specific device.
- * 
+ *
+ * Creates a mirroring session (or returns the device's open one) and sends
+ * REQUEST_MIRROR with its sessionId, queued if the device is briefly
+ * offline. Viewers join it via 'join-session'. The open session is only
+ * reused if the requested options match it; changing them is a PATCH.
+ *
  * @param {string} targetDeviceId - The ANDROID_ID of the target device
- * @param {object} options - Optional parameters (quality, etc.)
- * @returns {boolean} - true if request was sent, false if device not found
+ * @param {object} options - Validated mirroring options (quality, resolution, bitrate, fps) and ttl
+ * @returns {{ session?: object, error?: string, code?: string }} - code 'conflict' comes with the open session
  */
 function startMirroring(targetDeviceId, options = {}) {
-  const device = devices.get(targetDeviceId);
-  if (device) {
-    const quality = options.quality || 'high';
-    io.to(device.socketId).emit('REQUEST_MIRROR', { quality });
-    console.log(`📤 Sent REQUEST_MIRROR to ${targetDeviceId} (${device.name}) with quality: ${quality}`);
-    return true;
-  } else {
+  const { ttl, ...requested } = options;
+  const existing = getOpenSessionForDevice(targetDeviceId);
+  if (existing) {
+    const changed = findChangedOptions(existing, requested);
+    if (changed.length > 0) {
+      return {
+        session: existing,
+        error: `A mirroring session with different ${changed.join(', ')} is already open; change it with PATCH /api/devices/${targetDeviceId}/mirror`,
+        code: 'conflict'
+      };
+    }
+    return { session: existing };
+  }
+
+  const mirrorOptions = { ...requested, quality: requested.quality || 'high' };
+  const session = createSession(targetDeviceId, mirrorOptions);
+  const { command, delivery, error } = sendCommand(targetDeviceId, 'REQUEST_MIRROR', {
+    requestId: session.id,
+    sessionId: session.id,
+    ...mirrorOptions
+  }, { ttl });
+
+  if (error) {
+    sessions.delete(session.id);
     console.log(`⚠️  Device not found or offline: ${targetDeviceId}`);
+    return { error: 'Device not found or offline', code: 'not-found' };
+  }
+
+  updateDeviceMirroring(targetDeviceId, {
+    sessionId: session.id,
+    state: session.state,
+    options: mirrorOptions,
+    pendingOptions: null,
+    lastAck: null,
+    error: null,
+    endReason: null
+  });
+
+  // A device that refuses (or never acknowledges) the request ends the session
+  if (delivery) {
+    delivery.catch(err => {
+      console.warn(`⚠️  REQUEST_MIRROR for session ${session.id} failed: ${err.message}`);
+      recordMirrorAck(targetDeviceId, session.id, 'REQUEST_MIRROR', err.message);
+      finishSession(session, err.code === RPC_ERRORS.TIMEOUT ? 'request-timeout' : 'request-failed');
+    });
+  }
+
+  const queued = command.status === commandQueue.COMMAND_STATES.QUEUED;
+  console.log(`📤 ${queued ? 'Queued' : 'Sent'} REQUEST_MIRROR to ${targetDeviceId} with quality: ${mirrorOptions.quality}, session: ${session.id}`);
+  return { session };
+}
+
+/**
+ * Stop mirroring: tell the device (STOP_MIRROR) and end the session.
+ *
+ * The session ends right away; the device's ack is only recorded.
+ *
+ * @returns {boolean} - false if the session had already ended
+ */
+function stopMirroring(session, reason) {
+  if (session.state === SESSION_STATES.ENDED) {
     return false;
   }
+
+  const device = devices.get(session.deviceId);
+  if (device && device.socketId) {
+    deviceRpc.call(session.deviceId, 'STOP_MIRROR', { sessionId: session.id }, {
+      timeout: MIRROR_CONTROL_TIMEOUT,
+      awaitResponse: false
+    }).then(result => {
+      if (result) {
+        recordMirrorAck(session.deviceId, session.id, 'STOP_MIRROR');
+      }
+    }, err => recordMirrorAck(session.deviceId, session.id, 'STOP_MIRROR', err.message));
+    console.log(`📤 Sent STOP_MIRROR to ${session.deviceId} for session ${session.id}`);
+  }
+
+  finishSession(session, reason);
+  return true;
+}
+
+/**
+ * Ask the device to apply new options to a running session.
+ *
+ * Acking devices confirm (optionally with the options they actually chose)
+ * and the session is updated right away; others stay pending until they
+ * report 'mirror-state'.
+ *
+ * @param {object} session - Open session
+ * @param {object} options - Validated options to change
+ * @returns {Promise<object|null>} - The device's ack, or null for devices without acks
+ */
+async function reconfigureMirroring(session, options) {
+  const { deviceId } = session;
+  updateDeviceMirroring(deviceId, { pendingOptions: options });
+
+  let result;
+  try {
+    result = await deviceRpc.call(deviceId, 'UPDATE_MIRROR_CONFIG', { sessionId: session.id, ...options }, {
+      timeout: MIRROR_CONTROL_TIMEOUT,
+      retries: 1,
+      awaitResponse: false
+    });
+  } catch (err) {
+    console.warn(`⚠️  UPDATE_MIRROR_CONFIG for session ${session.id} failed: ${err.message}`);
+    updateDeviceMirroring(deviceId, { pendingOptions: null });
+    recordMirrorAck(deviceId, session.id, 'UPDATE_MIRROR_CONFIG', err.message);
+    throw err;
+  }
+
+  console.log(`🔧 Sent UPDATE_MIRROR_CONFIG to ${deviceId} for session ${session.id}: ${JSON.stringify(options)}`);
+  if (result) {
+    const applied = result.options ? parseMirrorOptions(result.options).options : null;
+    applyMirrorOptions(session, applied || options);
+    recordMirrorAck(deviceId, session.id, 'UPDATE_MIRROR_CONFIG');
+  }
+  return result;
+}
+
+// Options the device confirmed: update the session, its viewers and the device record
+function applyMirrorOptions(session, options) {
+  session.options = { ...session.options, ...options };
+  session.updatedAt = Date.now();
+  updateDeviceMirroring(session.deviceId, { options: session.options, pendingOptions: null });
+  emitSessionUpdate(session);
+}
+
+/**
+ * Merge changes into the device record's mirroring status and push it to
+ * the device's subscribers.
+ *
+ * device.mirroring: { sessionId, state, options, pendingOptions, lastAck, error, endReason, updatedAt }
+ */
+function updateDeviceMirroring(deviceId, changes) {
+  const device = devices.get(deviceId);
+  if (!device) {
+    return null;
+  }
+
+  device.mirroring = { ...device.mirroring, ...changes, updatedAt: new Date().toISOString() };
+  eventDelivery.deliver(io, 'mirror-status', { deviceId, mirroring: device.mirroring }, { deviceId });
+  return device.mirroring;
+}
+
+// A device acknowledged (or rejected) a mirroring command for its current session
+function recordMirrorAck(deviceId, sessionId, command, error = null) {
+  const device = devices.get(deviceId);
+  if (!device || !device.mirroring || device.mirroring.sessionId !== sessionId) {
+    return;
+  }
+  updateDeviceMirroring(deviceId, {
+    lastAck: { command, error, at: new Date().toISOString() },
+    ...(error && { error })
+  });
 }
 
 // Export for use in other modules or API endpoints
@@ -1719,6 +5719,13 @@ async function cleanupAbandonedUploads() {
   } catch (err) {
     console.error('❌ Cleanup error:', err);
   }
+
+  // Completed uploads: max age and total size
+  try {
+    await storagePolicy.enforceRetention();
+  } catch (err) {
+    console.error('❌ Retention error:', err);
+  }
 }
 
 // Run cleanup on startup
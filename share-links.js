@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const path = require('path');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+
+// Configuration
+const DATA_DIR = path.join(__dirname, 'data');
+const SHARES_FILE = path.join(DATA_DIR, 'share-links.json');
+const SECRET_FILE = path.join(DATA_DIR, 'share-link-secret');
+const DEFAULT_TTL = parseInt(process.env.SHARE_LINK_TTL, 10) || 24 * 60 * 60; // 24 hours (seconds)
+const MAX_TTL = parseInt(process.env.SHARE_LINK_MAX_TTL, 10) || 30 * 24 * 60 * 60; // 30 days (seconds)
+const EXPIRED_SHARE_RETENTION = 7 * 24 * 60 * 60 * 1000; // keep expired/revoked links listable for 7 days
+// Password guesses allowed per share link within the window
+const PASSWORD_ATTEMPT_LIMIT = parseInt(process.env.SHARE_PASSWORD_ATTEMPTS, 10) || 5;
+const PASSWORD_ATTEMPT_WINDOW = 15 * 60 * 1000; // 15 minutes
+// Public origin for share URLs (e.g. https://files.example.com) when behind a proxy
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '') || null;
+
+// Share links: shareId -> { id, fileId, expiresAt, maxDownloads, downloads,
+//   bytesServed, passwordHash, passwordSalt, createdAt, revokedAt }
+const shares = new Map();
+
+// Password attempts: shareId -> { count, windowStart }
+const passwordAttempts = new Map();
+
+// Signing secret: env, or generated once and kept next to the share records
+// so links survive restarts
+function loadSecret() {
+  if (process.env.SHARE_LINK_SECRET) {
+    return process.env.SHARE_LINK_SECRET;
+  }
+  try {
+    return fsSync.readFileSync(SECRET_FILE, 'utf8').trim();
+  } catch (err) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    fsSync.mkdirSync(DATA_DIR, { recursive: true });
+    fsSync.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+    console.log('🔑 Generated share link signing secret');
+    return secret;
+  }
+}
+
+const SECRET = loadSecret();
+
+function loadShares() {
+  try {
+    const data = JSON.parse(fsSync.readFileSync(SHARES_FILE, 'utf8'));
+    for (const [shareId, share] of Object.entries(data)) {
+      shares.set(shareId, share);
+    }
+    console.log(`🔗 Loaded ${shares.size} share link(s)`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('❌ Failed to load share links:', err.message);
+    }
+  }
+}
+
+loadShares();
+
+// Serialize writes so concurrent updates never interleave on disk
+let saveChain = Promise.resolve();
+
+function saveShares() {
+  const snapshot = JSON.stringify(Object.fromEntries(shares), null, 2);
+  saveChain = saveChain
+    .then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      const tmpPath = `${SHARES_FILE}.tmp`;
+      await fs.writeFile(tmpPath, snapshot, { mode: 0o600 });
+      await fs.rename(tmpPath, SHARES_FILE);
+    })
+    .catch(err => console.error('❌ Failed to save share links:', err.message));
+  return saveChain;
+}
+
+function sign(share) {
+  return crypto
+    .createHmac('sha256', SECRET)
+    .update(`${share.id}.${share.fileId}.${share.expiresAt}`)
+    .digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt is slow on purpose; the async form keeps it off the event loop
+async function hashPassword(password, salt) {
+  return (await scrypt(String(password), salt, 32)).toString('hex');
+}
+
+// Share tokens are "<shareId>.<signature>"
+function getShareToken(share) {
+  return `${share.id}.${sign(share)}`;
+}
+
+function getShareUrl(share, baseUrl = '') {
+  return `${PUBLIC_URL || baseUrl}/s/${getShareToken(share)}`;
+}
+
+/**
+ * Create a share link for a completed upload.
+ *
+ * @param {string} fileId - Completed-store file id
+ * @param {object} [options]
+ * @param {number} [options.ttl] - Lifetime in seconds (capped at SHARE_LINK_MAX_TTL)
+ * @param {number} [options.maxDownloads] - Download limit (unlimited if omitted)
+ * @param {string} [options.password] - Require this password to download
+ * @returns {Promise<object>} - The new share record
+ */
+async function createShare(fileId, { ttl, maxDownloads, password } = {}) {
+  const ttlSeconds = Math.min(Math.max(parseInt(ttl, 10) || DEFAULT_TTL, 1), MAX_TTL);
+  const limit = parseInt(maxDownloads, 10);
+  const now = Date.now();
+
+  const share = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    fileId,
+    expiresAt: now + ttlSeconds * 1000,
+    maxDownloads: limit > 0 ? limit : null,
+    downloads: 0,
+    bytesServed: 0,
+    passwordHash: null,
+    passwordSalt: null,
+    createdAt: now,
+    revokedAt: null
+  };
+
+  if (password) {
+    share.passwordSalt = crypto.randomBytes(16).toString('hex');
+    share.passwordHash = await hashPassword(password, share.passwordSalt);
+  }
+
+  shares.set(share.id, share);
+  saveShares();
+  return share;
+}
+
+function getShare(shareId) {
+  return shares.get(shareId) || null;
+}
+
+function listShares({ fileId } = {}) {
+  return Array.from(shares.values())
+    .filter(share => !fileId || share.fileId === fileId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Why a share can no longer be used, or null if it is still valid
+function getShareStatus(share) {
+  if (share.revokedAt) {
+    return 'revoked';
+  }
+  if (share.expiresAt <= Date.now()) {
+    return 'expired';
+  }
+  if (share.maxDownloads !== null && share.downloads >= share.maxDownloads) {
+    return 'exhausted';
+  }
+  return 'active';
+}
+
+/**
+ * Resolve a share token, checking its signature and validity.
+ *
+ * @param {string} token - "<shareId>.<signature>"
+ * @returns {{ share?: object, error?: string, statusCode?: number }}
+ */
+function resolveShareToken(token) {
+  const [shareId, signature] = String(token || '').split('.');
+  const share = shareId ? shares.get(shareId) : null;
+
+  if (!share || !signature || !safeEqual(signature, sign(share))) {
+    return { error: 'Share link not found', statusCode: 404 };
+  }
+
+  const status = getShareStatus(share);
+  if (status !== 'active') {
+    return { error: `Share link ${status}`, statusCode: 410 };
+  }
+
+  return { share };
+}
+
+/**
+ * Check a share's password. Attempts are limited per share link and counted
+ * before hashing, so concurrent guesses can't exceed the limit; a correct
+ * password clears the count.
+ *
+ * @returns {Promise<{ ok: boolean, retryAfter?: number }>} - retryAfter
+ *   (seconds) when the link is locked
+ */
+async function checkSharePassword(share, password) {
+  if (!share.passwordHash) {
+    return { ok: true };
+  }
+  if (!password) {
+    return { ok: false };
+  }
+
+  const now = Date.now();
+  let attempts = passwordAttempts.get(share.id);
+  if (!attempts || now - attempts.windowStart >= PASSWORD_ATTEMPT_WINDOW) {
+    attempts = { count: 0, windowStart: now };
+    passwordAttempts.set(share.id, attempts);
+  }
+  if (attempts.count >= PASSWORD_ATTEMPT_LIMIT) {
+    return { ok: false, retryAfter: Math.ceil((attempts.windowStart + PASSWORD_ATTEMPT_WINDOW - now) / 1000) };
+  }
+  attempts.count++;
+
+  const ok = safeEqual(await hashPassword(password, share.passwordSalt), share.passwordHash);
+  if (ok) {
+    passwordAttempts.delete(share.id);
+  }
+  return { ok };
+}
+
+/**
+ * Count served bytes against the download limit. Downloads are whole-file
+ * equivalents, so Range requests (media seeking, resumed or split downloads)
+ * count for what they fetch wherever they start.
+ *
+ * @param {object} share
+ * @param {number} bytes - Bytes in this response
+ * @param {number} fileSize - Size of the shared file
+ */
+function recordDownload(share, bytes, fileSize) {
+  if (fileSize > 0) {
+    // Links created before byte counting start from their download count
+    share.bytesServed = (share.bytesServed ?? share.downloads * fileSize) + bytes;
+    share.downloads = Math.ceil(share.bytesServed / fileSize);
+  } else {
+    share.downloads++;
+  }
+  saveShares();
+}
+
+function revokeShare(shareId) {
+  const share = shares.get(shareId);
+  if (!share || share.revokedAt) {
+    return false;
+  }
+  share.revokedAt = Date.now();
+  saveShares();
+  console.log(`🔗 Share link revoked: ${shareId}`);
+  return true;
+}
+
+// Revoke every link to a file (e.g. when the file is deleted)
+function revokeSharesForFile(fileId) {
+  let revoked = 0;
+  for (const share of shares.values()) {
+    if (share.fileId === fileId && !share.revokedAt) {
+      share.revokedAt = Date.now();
+      revoked++;
+    }
+  }
+  if (revoked > 0) {
+    saveShares();
+  }
+  return revoked;
+}
+
+function serializeShare(share, baseUrl) {
+  return {
+    id: share.id,
+    fileId: share.fileId,
+    url: getShareUrl(share, baseUrl),
+    status: getShareStatus(share),
+    expiresAt: new Date(share.expiresAt).toISOString(),
+    maxDownloads: share.maxDownloads,
+    downloads: share.downloads,
+    passwordProtected: Boolean(share.passwordHash),
+    createdAt: new Date(share.createdAt).toISOString(),
+    revokedAt: share.revokedAt ? new Date(share.revokedAt).toISOString() : null
+  };
+}
+
+function cleanupExpiredShares() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [shareId, share] of shares.entries()) {
+    const endedAt = share.revokedAt || share.expiresAt;
+    if (getShareStatus(share) !== 'active' && now - endedAt > EXPIRED_SHARE_RETENTION) {
+      shares.delete(shareId);
+      removed++;
+    }
+  }
+
+  for (const [shareId, attempts] of passwordAttempts.entries()) {
+    if (now - attempts.windowStart >= PASSWORD_ATTEMPT_WINDOW) {
+      passwordAttempts.delete(shareId);
+    }
+  }
+
+  if (removed > 0) {
+    saveShares();
+    console.log(`🧹 Cleanup: Removed ${removed} expired share links. Current: ${shares.size}`);
+  }
+}
+
+module.exports = {
+  createShare,
+  getShare,
+  listShares,
+  resolveShareToken,
+  checkSharePassword,
+  recordDownload,
+  revokeShare,
+  revokeSharesForFile,
+  getShareUrl,
+  serializeShare,
+  cleanupExpiredShares
+};
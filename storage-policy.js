@@ -0,0 +1,272 @@
+const path = require('path');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const completedStore = require('./completed-store');
+
+// Configuration (0 disables a limit)
+const DATA_DIR = path.join(__dirname, 'data');
+const QUOTAS_FILE = path.join(DATA_DIR, 'storage-quotas.json');
+const GB = 1024 * 1024 * 1024;
+
+function parseLimit(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const DEFAULT_DEVICE_QUOTA = parseLimit(process.env.DEVICE_QUOTA_BYTES, 5 * GB);
+const MAX_TOTAL_BYTES = parseLimit(process.env.STORAGE_MAX_TOTAL_BYTES, 0);
+const MAX_AGE = parseLimit(process.env.RETENTION_MAX_AGE_DAYS, 30) * 24 * 60 * 60 * 1000;
+
+// Quotas and usage are keyed by the device's directory in the completed
+// store, the only id that files re-indexed from disk still have
+function deviceKey(deviceId) {
+  return completedStore.sanitizeDeviceDir(deviceId) || deviceId;
+}
+
+// Per-device quota overrides: deviceKey -> bytes (0 = unlimited)
+const deviceQuotas = new Map();
+
+function loadQuotas() {
+  try {
+    const data = JSON.parse(fsSync.readFileSync(QUOTAS_FILE, 'utf8'));
+    for (const [deviceId, bytes] of Object.entries(data)) {
+      deviceQuotas.set(deviceKey(deviceId), bytes);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('❌ Failed to load storage quotas:', err.message);
+    }
+  }
+}
+
+loadQuotas();
+
+// Serialize writes so concurrent updates never interleave on disk
+let saveChain = Promise.resolve();
+
+function saveQuotas() {
+  const snapshot = JSON.stringify(Object.fromEntries(deviceQuotas), null, 2);
+  saveChain = saveChain
+    .then(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      const tmpPath = `${QUOTAS_FILE}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, QUOTAS_FILE);
+    })
+    .catch(err => console.error('❌ Failed to save storage quotas:', err.message));
+  return saveChain;
+}
+
+function getDeviceQuota(deviceId) {
+  const key = deviceKey(deviceId);
+  return deviceQuotas.has(key) ? deviceQuotas.get(key) : DEFAULT_DEVICE_QUOTA;
+}
+
+/**
+ * Override a device's quota.
+ *
+ * @param {string} deviceId
+ * @param {number|null} bytes - Quota in bytes, 0 for unlimited, null to reset to the default
+ */
+function setDeviceQuota(deviceId, bytes) {
+  if (bytes === null) {
+    deviceQuotas.delete(deviceKey(deviceId));
+  } else {
+    deviceQuotas.set(deviceKey(deviceId), bytes);
+  }
+  saveQuotas();
+}
+
+// Space held for unfinished uploads: uploadId -> { key, bytes, expiresAt }.
+// Held in memory from creation on, so concurrent creates count each other
+// before any of them has written its upload file.
+const reservations = new Map();
+
+/**
+ * Bytes held by unfinished uploads, per device. Expired holds are dropped.
+ *
+ * @returns {Map<string, number>} - deviceKey -> bytes
+ */
+function getReservedBytes() {
+  const now = Date.now();
+  const reserved = new Map();
+  for (const [uploadId, reservation] of reservations.entries()) {
+    if (reservation.expiresAt <= now) {
+      reservations.delete(uploadId);
+      continue;
+    }
+    reserved.set(reservation.key, (reserved.get(reservation.key) || 0) + reservation.bytes);
+  }
+  return reserved;
+}
+
+// Hold space for an upload without checking limits (uploads found on disk at startup)
+function holdUploadSpace(uploadId, deviceId, bytes, expiresAt) {
+  reservations.set(uploadId, { key: deviceKey(deviceId), bytes, expiresAt });
+}
+
+// Give an upload's space back once it finished, failed or was terminated
+function releaseUploadSpace(uploadId) {
+  reservations.delete(uploadId);
+}
+
+/**
+ * Reserve space for a new upload if it fits the device's quota and the
+ * store total. The space stays reserved until releaseUploadSpace or
+ * `expiresAt`.
+ *
+ * Per-device quotas are hard limits: the upload is refused. The store-wide
+ * limit is met by evicting the uploading device's own least recently used
+ * files, as long as enough can be freed; one device never pushes out
+ * another's files, the upload is refused (507) instead.
+ *
+ * @param {string} uploadId
+ * @param {string} deviceId
+ * @param {number} size - Declared upload size in bytes
+ * @param {number} expiresAt - When an unfinished upload's reservation lapses
+ * @returns {Promise<{ ok: boolean, quotaExceeded?: boolean, error?: string }>}
+ */
+async function reserveUploadSpace(uploadId, deviceId, size, expiresAt) {
+  const key = deviceKey(deviceId);
+  const reserved = getReservedBytes();
+  const quota = getDeviceQuota(deviceId);
+  if (quota > 0) {
+    const usage = completedStore.getUsageByDevice().get(key);
+    const used = (usage ? usage.usedBytes : 0) + (reserved.get(key) || 0);
+    if (used + size > quota) {
+      return {
+        ok: false,
+        quotaExceeded: true,
+        error: `Device storage quota exceeded (${used + size} of ${quota} bytes)`
+      };
+    }
+  }
+
+  // Checked and held in one step: nothing awaits before the hold is in place
+  let reservedTotal = 0;
+  for (const bytes of reserved.values()) {
+    reservedTotal += bytes;
+  }
+  holdUploadSpace(uploadId, deviceId, size, expiresAt);
+
+  if (MAX_TOTAL_BYTES > 0) {
+    const needed = completedStore.getTotalBytes() + reservedTotal + size - MAX_TOTAL_BYTES;
+    if (needed > 0 && !(await evictLeastRecentlyUsed(needed, key))) {
+      releaseUploadSpace(uploadId);
+      return { ok: false, error: 'Server storage is full' };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Delete least recently used files until `bytesNeeded` are freed.
+ *
+ * Nothing is deleted unless the whole amount can be freed, so a single
+ * oversized upload can't wipe the store and still be refused.
+ *
+ * @param {number} bytesNeeded
+ * @param {string} [key] - Only evict this device's files (deviceKey)
+ * @returns {Promise<boolean>} - true if enough space was freed
+ */
+async function evictLeastRecentlyUsed(bytesNeeded, key = null) {
+  const candidates = completedStore.listFiles()
+    .filter(entry => !key || deviceKey(entry.deviceId) === key)
+    .sort((a, b) => (a.lastAccessedAt || a.createdAt) - (b.lastAccessedAt || b.createdAt));
+
+  const victims = [];
+  let freed = 0;
+  for (const entry of candidates) {
+    if (freed >= bytesNeeded) {
+      break;
+    }
+    victims.push(entry);
+    freed += entry.size;
+  }
+
+  if (freed < bytesNeeded) {
+    return false;
+  }
+
+  for (const entry of victims) {
+    console.log(`🧹 Evicting least recently used upload: ${entry.relativePath}`);
+    await completedStore.deleteFile(entry.id);
+  }
+  return true;
+}
+
+/**
+ * Apply retention rules to the completed store: drop files older than
+ * RETENTION_MAX_AGE_DAYS, then evict LRU files while over STORAGE_MAX_TOTAL_BYTES.
+ *
+ * @returns {Promise<number>} - Number of files removed
+ */
+async function enforceRetention() {
+  let removed = 0;
+
+  if (MAX_AGE > 0) {
+    const cutoff = Date.now() - MAX_AGE;
+    for (const entry of completedStore.listFiles()) {
+      if (entry.createdAt < cutoff) {
+        await completedStore.deleteFile(entry.id);
+        removed++;
+      }
+    }
+  }
+
+  if (MAX_TOTAL_BYTES > 0) {
+    const excess = completedStore.getTotalBytes() - MAX_TOTAL_BYTES;
+    if (excess > 0) {
+      const before = completedStore.listFiles().length;
+      await evictLeastRecentlyUsed(excess);
+      removed += before - completedStore.listFiles().length;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Retention: Removed ${removed} completed upload(s)`);
+  }
+  return removed;
+}
+
+// Storage usage report for the completed store and unfinished uploads
+function getUsageReport() {
+  const usage = completedStore.getUsageByDevice();
+  const inProgress = getReservedBytes();
+  const deviceIds = new Set([...usage.keys(), ...inProgress.keys(), ...deviceQuotas.keys()]);
+
+  const devices = Array.from(deviceIds).map(deviceId => {
+    const { usedBytes, fileCount } = usage.get(deviceId) || { usedBytes: 0, fileCount: 0 };
+    const quotaBytes = getDeviceQuota(deviceId);
+    const inProgressBytes = inProgress.get(deviceId) || 0;
+    return {
+      deviceId,
+      usedBytes,
+      inProgressBytes,
+      fileCount,
+      quotaBytes: quotaBytes || null,
+      percentUsed: quotaBytes ? Math.round(((usedBytes + inProgressBytes) / quotaBytes) * 1000) / 10 : null
+    };
+  }).sort((a, b) => b.usedBytes - a.usedBytes);
+
+  return {
+    totalBytes: completedStore.getTotalBytes(),
+    maxTotalBytes: MAX_TOTAL_BYTES || null,
+    defaultDeviceQuotaBytes: DEFAULT_DEVICE_QUOTA || null,
+    retentionMaxAgeDays: MAX_AGE ? MAX_AGE / (24 * 60 * 60 * 1000) : null,
+    devices
+  };
+}
+
+module.exports = {
+  deviceKey,
+  getDeviceQuota,
+  setDeviceQuota,
+  getReservedBytes,
+  holdUploadSpace,
+  releaseUploadSpace,
+  reserveUploadSpace,
+  enforceRetention,
+  getUsageReport
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Configuration
+const TURN_SECRET = process.env.TURN_SECRET || null; // coturn static-auth-secret
+const TURN_TTL = parseInt(process.env.TURN_TTL, 10) || 60 * 60; // 1 hour (seconds)
+
+function parseUrlList(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  return value.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+const STUN_URLS = parseUrlList(process.env.STUN_URLS, ['stun:stun.l.google.com:19302']);
+const TURN_URLS = parseUrlList(process.env.TURN_URLS, []);
+
+if (TURN_URLS.length > 0 && !TURN_SECRET) {
+  console.warn('⚠️  TURN_URLS configured without TURN_SECRET - TURN servers will not be offered');
+}
+
+/**
+ * Build an ICE server list with ephemeral TURN credentials.
+ *
+ * Uses the coturn REST API scheme (use-auth-secret): the username is
+ * "<expiry unix timestamp>:<userId>" and the credential is
+ * base64(HMAC-SHA1(secret, username)), so coturn can verify it without
+ * any shared state.
+ *
+ * @param {string} userId - Identifier embedded in the TURN username
+ * @returns {{ iceServers: object[], ttl: number, expiresAt: string|null }}
+ */
+function getIceServers(userId = 'anonymous') {
+  const iceServers = [];
+
+  if (STUN_URLS.length > 0) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+
+  if (TURN_URLS.length === 0 || !TURN_SECRET) {
+    return { iceServers, ttl: 0, expiresAt: null };
+  }
+
+  const expiry = Math.floor(Date.now() / 1000) + TURN_TTL;
+  // coturn splits on ':' so it must not appear in the user part
+  const username = `${expiry}:${String(userId).replace(/:/g, '_')}`;
+  const credential = crypto
+    .createHmac('sha1', TURN_SECRET)
+    .update(username)
+    .digest('base64');
+
+  iceServers.push({ urls: TURN_URLS, username, credential });
+
+  return {
+    iceServers,
+    ttl: TURN_TTL,
+    expiresAt: new Date(expiry * 1000).toISOString()
+  };
+}
+
+module.exports = { getIceServers };
@@ -1,13 +1,39 @@
-const { Server } = require('@tus/server');
+const { Server, EVENTS } = require('@tus/server');
 const { FileStore } = require('@tus/file-store');
 const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
 const fs = require('fs').promises;
+const completedStore = require('./completed-store');
+const shareLinks = require('./share-links');
+const storagePolicy = require('./storage-policy');
+const eventDelivery = require('./event-delivery');
+const { authenticateDevice } = require('./device-auth');
 
 // Configuration
 const UPLOAD_DIR = path.join(__dirname, 'uploads/tus-temp');
-const FINAL_DIR = path.join(__dirname, 'uploads/completed');
+const FINAL_DIR = completedStore.COMPLETED_DIR;
 const MAX_FILE_SIZE = 10 * 1024 * 1024 * 1024; // 10GB
 const EXPIRATION_TIME = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_FILENAME_LENGTH = 200;
+// TUS checksum extension: algorithms accepted in Upload-Checksum
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256'];
+// Attach a default share link (SHARE_LINK_TTL, no password) to completion events
+const AUTO_SHARE_UPLOADS = process.env.AUTO_SHARE_UPLOADS !== 'false';
+
+function parseExtensionList(value) {
+  return (value || '')
+    .split(',')
+    .map(ext => ext.trim().toLowerCase().replace(/^\./, ''))
+    .filter(Boolean);
+}
+
+// File type policy: an empty allowlist allows everything not on the denylist
+const ALLOWED_EXTENSIONS = parseExtensionList(process.env.UPLOAD_ALLOWED_EXTENSIONS);
+const BLOCKED_EXTENSIONS = parseExtensionList(
+  process.env.UPLOAD_BLOCKED_EXTENSIONS ||
+  'exe,bat,cmd,com,msi,scr,ps1,vbs,sh,php,phtml,jsp,asp,aspx,cgi,pl,html,htm,xhtml,svg,js'
+);
 
 // Ensure directories exist
 async function ensureDirectories() {
@@ -18,10 +44,201 @@ async function ensureDirectories() {
 
 ensureDirectories().catch(console.error);
 
+// TUS hooks reject uploads by throwing { status_code, body }
+function tusError(statusCode, message) {
+  return { status_code: statusCode, body: `${message}\n` };
+}
+
+/**
+ * Reduce a client-supplied filename to a safe basename.
+ *
+ * Strips directory components (both separators), control and reserved
+ * characters, and leading dots, then caps the length while keeping the
+ * extension. Returns null if nothing usable is left.
+ *
+ * @param {string} name
+ * @returns {string|null}
+ */
+function sanitizeFilename(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  let safe = name.split(/[\\/]/).pop()
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/[<>:"|?*]/g, '_')
+    .replace(/^[.\s]+/, '')
+    .replace(/[.\s]+$/, '')
+    .trim();
+
+  if (!safe) {
+    return null;
+  }
+
+  if (Buffer.byteLength(safe) > MAX_FILENAME_LENGTH) {
+    const ext = path.extname(safe).slice(0, 20);
+    let base = safe.slice(0, safe.length - ext.length);
+    while (Buffer.byteLength(base + ext) > MAX_FILENAME_LENGTH) {
+      base = base.slice(0, -1);
+    }
+    safe = base + ext;
+  }
+
+  return safe;
+}
+
+function isFileTypeAllowed(filename) {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  if (BLOCKED_EXTENSIONS.includes(ext)) {
+    return false;
+  }
+  return ALLOWED_EXTENSIONS.length === 0 || ALLOWED_EXTENSIONS.includes(ext);
+}
+
+// Validate upload metadata; returns the sanitized { deviceDir, filename }
+function validateUploadMetadata(metadata = {}) {
+  const deviceDir = completedStore.sanitizeDeviceDir(metadata.deviceId);
+  if (!deviceDir) {
+    throw tusError(400, 'deviceId is required in metadata');
+  }
+
+  const filename = sanitizeFilename(metadata.filename) || `file_${Date.now()}`;
+  if (!isFileTypeAllowed(filename)) {
+    throw tusError(415, `File type not allowed: ${path.extname(filename) || '(none)'}`);
+  }
+
+  return { deviceDir, filename };
+}
+
+/**
+ * The device creating an upload, authenticated with X-Device-Id and
+ * X-Device-Secret (as for /api/ice-servers). Uploads are stored and counted
+ * against the quota under this device, never a deviceId the client picks.
+ *
+ * @param {Request} req
+ * @param {object} metadata - Upload metadata; a deviceId in it must match
+ * @returns {string} - The authenticated deviceId
+ */
+function authenticateUploader(req, metadata = {}) {
+  const deviceId = req.headers.get('x-device-id');
+  const auth = authenticateDevice({ deviceId, deviceSecret: req.headers.get('x-device-secret') }, { enroll: false });
+  if (!auth.ok || auth.canEnroll) {
+    throw tusError(401, 'Enrolled device credentials are required (X-Device-Id, X-Device-Secret)');
+  }
+  if (metadata.deviceId && metadata.deviceId !== deviceId) {
+    throw tusError(403, 'deviceId in metadata does not match the authenticated device');
+  }
+  return deviceId;
+}
+
+/**
+ * Reserve space again for the unfinished uploads of a previous run.
+ *
+ * Read from the FileStore's <id>.json records; reservations are otherwise
+ * kept in memory (see storagePolicy.reserveUploadSpace).
+ */
+async function restoreReservations() {
+  const names = await fs.readdir(UPLOAD_DIR).catch(() => []);
+  let restored = 0;
+
+  for (const name of names.filter(n => n.endsWith('.json'))) {
+    try {
+      const upload = JSON.parse(await fs.readFile(path.join(UPLOAD_DIR, name), 'utf8'));
+      const deviceId = upload.metadata && upload.metadata.deviceId;
+      if (deviceId && upload.size) {
+        const createdAt = Date.parse(upload.creation_date) || Date.now();
+        storagePolicy.holdUploadSpace(upload.id, deviceId, upload.size, createdAt + EXPIRATION_TIME);
+        restored++;
+      }
+    } catch (err) {
+      // Upload finished or was removed while scanning
+    }
+  }
+
+  if (restored > 0) {
+    console.log(`📤 Reserved space for ${restored} unfinished upload(s)`);
+  }
+}
+
+restoreReservations().catch(console.error);
+
+// Upload-Checksum of the request currently writing to an upload: uploadId -> { algorithm, digest }
+const pendingChecksums = new Map();
+
+/**
+ * FileStore with the TUS checksum extension.
+ *
+ * The request body is hashed while it is written; if it doesn't match the
+ * Upload-Checksum header the chunk is truncated away again (the FileStore
+ * derives the offset from the file size) and the PATCH fails with 460.
+ */
+class ChecksumFileStore extends FileStore {
+  constructor(options) {
+    super(options);
+    // Quotas need Upload-Length at creation, so deferred length is not offered
+    this.extensions = this.extensions.filter(ext => ext !== 'creation-defer-length');
+    this.extensions.push('checksum');
+  }
+
+  async write(readable, uploadId, offset) {
+    const expected = pendingChecksums.get(uploadId);
+    if (!expected) {
+      return super.write(readable, uploadId, offset);
+    }
+    pendingChecksums.delete(uploadId);
+
+    const hash = crypto.createHash(expected.algorithm);
+    const hashing = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    readable.on('error', err => hashing.destroy(err));
+
+    const newOffset = await super.write(readable.pipe(hashing), uploadId, offset);
+    if (!hash.digest().equals(expected.digest)) {
+      console.warn(`⚠️ Checksum mismatch for upload ${uploadId} at offset ${offset}, discarding ${newOffset - offset} bytes`);
+      await fs.truncate(path.join(UPLOAD_DIR, uploadId), offset);
+      throw tusError(460, 'Checksum mismatch');
+    }
+    return newOffset;
+  }
+}
+
+// Parse "Upload-Checksum: <algorithm> <base64 digest>"
+function parseUploadChecksum(header) {
+  const [algorithm, digest] = header.trim().split(/\s+/);
+  if (!CHECKSUM_ALGORITHMS.includes((algorithm || '').toLowerCase())) {
+    throw tusError(400, `Unsupported checksum algorithm: ${algorithm}`);
+  }
+  const expectedLength = crypto.createHash(algorithm.toLowerCase()).digest().length;
+  const digestBuffer = Buffer.from(digest || '', 'base64');
+  if (digestBuffer.length !== expectedLength) {
+    throw tusError(400, 'Invalid Upload-Checksum digest');
+  }
+  return { algorithm: algorithm.toLowerCase(), digest: digestBuffer };
+}
+
+// Socket.IO lives on the Express app; TUS hands us a web Request wrapping it
+function getSocketServer(req) {
+  const nodeReq = req.node?.req || req.runtime?.node?.req;
+  return nodeReq?.app?.get('io') || null;
+}
+
+// Origin the uploader used to reach us, for absolute share URLs
+function getBaseUrl(req) {
+  const url = new URL(req.url);
+  const proto = req.headers.get('x-forwarded-proto') || url.protocol.replace(':', '');
+  const host = req.headers.get('x-forwarded-host') || url.host;
+  return `${proto}://${host}`;
+}
+
 // Create TUS server instance
 const tusServer = new Server({
   path: '/tus',
-  datastore: new FileStore({
+  datastore: new ChecksumFileStore({
     directory: UPLOAD_DIR,
     // Disk-based storage - no memory buffering
     expirationPeriodInMilliseconds: EXPIRATION_TIME
@@ -30,61 +247,138 @@ const tusServer = new Server({
   // Memory-efficient settings for 1GB RAM VPS
   maxSize: MAX_FILE_SIZE,
   respectForwardedHeaders: true,
+  allowedHeaders: ['Upload-Checksum', 'X-Device-Id', 'X-Device-Secret'],
+  exposedHeaders: ['Tus-Checksum-Algorithm'],
 
   // Hooks for custom logic
-  async onUploadCreate(req, res, upload) {
-    // Validate deviceId from metadata
-    const deviceId = upload.metadata?.deviceId;
-    if (!deviceId) {
-      throw new Error('deviceId is required in metadata');
+  async onIncomingRequest(req, uploadId) {
+    if (req.method !== 'PATCH' && req.method !== 'POST') {
+      return;
+    }
+    // Replace any checksum left over from a request that never reached write()
+    pendingChecksums.delete(uploadId);
+    const checksum = req.headers.get('upload-checksum');
+    if (checksum) {
+      pendingChecksums.set(uploadId, parseUploadChecksum(checksum));
     }
+  },
 
-    console.log(`📤 Upload created: ${upload.id} by device ${deviceId}`);
-    console.log(`   Filename: ${upload.metadata?.filename || 'unknown'}`);
-    console.log(`   Size: ${(upload.size / 1024 / 1024).toFixed(2)} MB`);
+  async onUploadCreate(req, upload) {
+    const deviceId = authenticateUploader(req, upload.metadata);
+    upload.metadata = { ...upload.metadata, deviceId };
+
+    // Validate deviceId and filename from metadata before accepting any data
+    const { filename } = validateUploadMetadata(upload.metadata);
 
-    // Store deviceId for later use
-    upload.metadata.deviceId = deviceId;
+    // Quotas need the final size up front
+    if (upload.size === undefined) {
+      throw tusError(400, 'Upload-Length is required (deferred length is not supported)');
+    }
+
+    const space = await storagePolicy.reserveUploadSpace(
+      upload.id,
+      upload.metadata.deviceId,
+      upload.size,
+      Date.now() + EXPIRATION_TIME
+    );
+    if (!space.ok) {
+      console.warn(`⚠️ Upload rejected for device ${upload.metadata.deviceId}: ${space.error}`);
+      throw tusError(space.quotaExceeded ? 413 : 507, space.error);
+    }
 
-    return res;
+    // Uploads answering a vps-upload request report progress to its requester
+    eventDelivery.linkOrigin(upload.id, upload.metadata.requestId);
+
+    console.log(`📤 Upload created: ${upload.id} by device ${upload.metadata.deviceId}`);
+    console.log(`   Filename: ${filename}`);
+    console.log(`   Size: ${(upload.size / 1024 / 1024).toFixed(2)} MB`);
+
+    // Keep the client's name for reference; finalize uses the sanitized one
+    return {
+      metadata: {
+        ...upload.metadata,
+        originalFilename: upload.metadata.filename || null,
+        filename
+      }
+    };
   },
 
-  async onUploadFinish(req, res, upload) {
+  async onUploadFinish(req, upload) {
     console.log(`✅ Upload completed: ${upload.id}`);
 
+    const tempPath = path.join(UPLOAD_DIR, upload.id);
+
     try {
-      // Move file from temp to final location
-      const tempPath = path.join(UPLOAD_DIR, upload.id);
-      const filename = upload.metadata?.filename || `file_${Date.now()}`;
-      const finalPath = path.join(FINAL_DIR, filename);
+      // Sanitize again: metadata on disk is not trusted either
+      const { filename } = validateUploadMetadata(upload.metadata);
+      const metadata = upload.metadata;
 
-      await fs.rename(tempPath, finalPath);
+      // Move file from temp to final location
+      const entry = await completedStore.storeFile({
+        deviceId: metadata.deviceId,
+        filename,
+        sourcePath: tempPath,
+        details: {
+          originalFilename: metadata.originalFilename || null,
+          originalPath: metadata.originalPath || metadata.path || null,
+          uploadId: upload.id
+        }
+      });
+      const finalPath = completedStore.getFilePath(entry);
 
       console.log(`   Moved to: ${finalPath}`);
 
-      // Emit completion event via socket.io
-      const io = req.app.get('io');
+      const share = AUTO_SHARE_UPLOADS ? await shareLinks.createShare(entry.id) : null;
+
+      // Notify the requesting client and the device's subscribers
+      const io = getSocketServer(req);
       if (io) {
-        io.emit('ftp-upload-complete', {
+        eventDelivery.deliver(io, 'ftp-upload-complete', {
           uploadId: upload.id,
-          deviceId: upload.metadata?.deviceId,
-          filename: filename,
-          size: upload.size,
-          path: finalPath
-        });
+          requestId: metadata.requestId || null,
+          deviceId: metadata.deviceId,
+          fileId: entry.id,
+          filename: entry.filename,
+          size: entry.size,
+          sha256: entry.sha256,
+          path: finalPath,
+          downloadUrl: completedStore.getDownloadUrl(entry),
+          shareUrl: share ? shareLinks.getShareUrl(share, getBaseUrl(req)) : null,
+          shareExpiresAt: share ? new Date(share.expiresAt).toISOString() : null
+        }, { ids: [metadata.requestId, upload.id], deviceId: metadata.deviceId });
       }
+      // The requestId stays known until the device's vps-upload-response
+      eventDelivery.forgetOrigin(upload.id);
 
-      // Clean up metadata file
+      // Clean up metadata file; the file now counts as stored usage
       const metaPath = `${tempPath}.json`;
       await fs.unlink(metaPath).catch(() => {});
+      storagePolicy.releaseUploadSpace(upload.id);
 
     } catch (err) {
-      console.error(`❌ Error finalizing upload ${upload.id}:`, err);
-      throw err;
+      storagePolicy.releaseUploadSpace(upload.id);
+      console.error(`❌ Error finalizing upload ${upload.id}:`, err.body || err.message);
+      // Rejected uploads are not kept around in the temp directory
+      if (err.status_code || err.statusCode) {
+        await fs.unlink(tempPath).catch(() => {});
+        await fs.unlink(`${tempPath}.json`).catch(() => {});
+      }
+      throw err.statusCode ? tusError(err.statusCode, err.message) : err;
     }
 
-    return res;
+    return {};
   }
 });
 
-module.exports = { tusServer, UPLOAD_DIR, FINAL_DIR };
+// Terminated uploads (DELETE) give their space back
+tusServer.on(EVENTS.POST_TERMINATE, (req, res, uploadId) => {
+  storagePolicy.releaseUploadSpace(uploadId);
+});
+
+module.exports = {
+  tusServer,
+  UPLOAD_DIR,
+  FINAL_DIR,
+  CHECKSUM_ALGORITHMS,
+  sanitizeFilename
+};
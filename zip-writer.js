@@ -0,0 +1,236 @@
+// Minimal streaming ZIP writer (store only, no compression).
+//
+// Entries are written straight to the output stream as their data arrives:
+// sizes and CRC are not known up front, so each entry uses a trailing data
+// descriptor (general purpose flag bit 3). ZIP64 records are added when an
+// entry, offset or entry count exceeds the classic ZIP limits, so multi-GB
+// videos work. Photos and videos don't compress anyway, and storing keeps
+// memory usage flat on a small VPS.
+
+const ZIP32_MAX = 0xFFFFFFFF;
+const ZIP16_MAX = 0xFFFF;
+const FLAGS = 0x0808; // bit 3: data descriptor, bit 11: UTF-8 names
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32Update(crc, buffer) {
+  let c = crc ^ 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const d = date instanceof Date && !isNaN(date) ? date : new Date();
+  const year = Math.max(d.getFullYear(), 1980);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+class ZipWriter {
+  /**
+   * @param {import('stream').Writable} output - Destination (e.g. HTTP response)
+   */
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+    this.current = null;
+  }
+
+  _push(buffer) {
+    this.offset += buffer.length;
+    return this.output.write(buffer);
+  }
+
+  /**
+   * Begin a new entry. Must be followed by write() calls and endEntry().
+   *
+   * @param {string} name - Path inside the archive (forward slashes)
+   * @param {object} [options] - { mtime: Date }
+   */
+  startEntry(name, options = {}) {
+    if (this.current) {
+      throw new Error('Previous ZIP entry was not ended');
+    }
+
+    const nameBuffer = Buffer.from(name.replace(/^\/+/, ''), 'utf8');
+    const { time, date } = toDosDateTime(options.mtime);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);       // version needed
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(0, 8);        // method: store
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // crc32 and sizes (14-25) stay zero; they follow in the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);       // extra field length
+
+    this.current = {
+      nameBuffer,
+      time,
+      date,
+      headerOffset: this.offset,
+      crc: 0,
+      size: 0
+    };
+
+    this._push(header);
+    return this._push(nameBuffer);
+  }
+
+  /**
+   * Append data to the current entry.
+   *
+   * @returns {boolean} - false when the output is saturated (wait for 'drain')
+   */
+  write(buffer) {
+    if (!this.current) {
+      throw new Error('No ZIP entry started');
+    }
+    this.current.crc = crc32Update(this.current.crc, buffer);
+    this.current.size += buffer.length;
+    return this._push(buffer);
+  }
+
+  endEntry() {
+    const entry = this.current;
+    if (!entry) {
+      return true;
+    }
+    this.current = null;
+
+    entry.zip64 = entry.size >= ZIP32_MAX || entry.headerOffset >= ZIP32_MAX;
+
+    let descriptor;
+    if (entry.size >= ZIP32_MAX) {
+      descriptor = Buffer.alloc(24);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 8);
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+    } else {
+      descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeUInt32LE(entry.size, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+    }
+
+    this.entries.push(entry);
+    return this._push(descriptor);
+  }
+
+  /**
+   * Write the central directory and end the output stream.
+   */
+  finish() {
+    this.endEntry();
+
+    const centralStart = this.offset;
+    for (const entry of this.entries) {
+      this._push(this._centralHeader(entry));
+    }
+    const centralSize = this.offset - centralStart;
+
+    const needsZip64 = this.entries.length >= ZIP16_MAX ||
+      centralStart >= ZIP32_MAX || centralSize >= ZIP32_MAX;
+
+    if (needsZip64) {
+      const zip64EndOffset = this.offset;
+
+      const zip64End = Buffer.alloc(56);
+      zip64End.writeUInt32LE(0x06064b50, 0);
+      zip64End.writeBigUInt64LE(44n, 4);  // size of remaining record
+      zip64End.writeUInt16LE(45, 12);     // version made by
+      zip64End.writeUInt16LE(45, 14);     // version needed
+      zip64End.writeUInt32LE(0, 16);      // this disk
+      zip64End.writeUInt32LE(0, 20);      // central directory disk
+      zip64End.writeBigUInt64LE(BigInt(this.entries.length), 24);
+      zip64End.writeBigUInt64LE(BigInt(this.entries.length), 32);
+      zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+      zip64End.writeBigUInt64LE(BigInt(centralStart), 48);
+      this._push(zip64End);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064b50, 0);
+      locator.writeUInt32LE(0, 4);
+      locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+      locator.writeUInt32LE(1, 16);       // total disks
+      this._push(locator);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(Math.min(this.entries.length, ZIP16_MAX), 8);
+    end.writeUInt16LE(Math.min(this.entries.length, ZIP16_MAX), 10);
+    end.writeUInt32LE(Math.min(centralSize, ZIP32_MAX), 12);
+    end.writeUInt32LE(Math.min(centralStart, ZIP32_MAX), 16);
+    end.writeUInt16LE(0, 20);           // comment length
+    this._push(end);
+
+    this.output.end();
+  }
+
+  _centralHeader(entry) {
+    const sizeOverflow = entry.size >= ZIP32_MAX;
+    const offsetOverflow = entry.headerOffset >= ZIP32_MAX;
+
+    // ZIP64 extended information: only the overflowing fields, in spec order
+    const extraFields = [];
+    if (sizeOverflow) {
+      extraFields.push(BigInt(entry.size), BigInt(entry.size));
+    }
+    if (offsetOverflow) {
+      extraFields.push(BigInt(entry.headerOffset));
+    }
+
+    let extra = Buffer.alloc(0);
+    if (extraFields.length > 0) {
+      extra = Buffer.alloc(4 + extraFields.length * 8);
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(extraFields.length * 8, 2);
+      extraFields.forEach((value, i) => extra.writeBigUInt64LE(value, 4 + i * 8));
+    }
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(entry.zip64 ? 45 : 20, 4); // version made by
+    header.writeUInt16LE(entry.zip64 ? 45 : 20, 6); // version needed
+    header.writeUInt16LE(FLAGS, 8);
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(entry.time, 12);
+    header.writeUInt16LE(entry.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(sizeOverflow ? ZIP32_MAX : entry.size, 20);
+    header.writeUInt32LE(sizeOverflow ? ZIP32_MAX : entry.size, 24);
+    header.writeUInt16LE(entry.nameBuffer.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt16LE(0, 32);         // comment length
+    header.writeUInt16LE(0, 34);         // disk number
+    header.writeUInt16LE(0, 36);         // internal attributes
+    header.writeUInt32LE(0, 38);         // external attributes
+    header.writeUInt32LE(offsetOverflow ? ZIP32_MAX : entry.headerOffset, 42);
+
+    return Buffer.concat([header, entry.nameBuffer, extra]);
+  }
+}
+
+module.exports = { ZipWriter, crc32Update };